@@ -1,11 +1,32 @@
 // middleware/auth.js
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
-
-// Verify JWT token
-const authenticate = async (req, res, next) => {
+const Session = require("../models/Session");
+const {
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+} = require("../services/twoFactor");
+const { hasPermission } = require("../services/permissions");
+
+// Minutes a step-up re-authentication stays fresh
+const STEP_UP_WINDOW_MINUTES =
+  parseInt(process.env.STEP_UP_WINDOW_MINUTES, 10) || 5;
+
+// Verify JWT token. Users whose role requires two-factor authentication but
+// who have not enrolled are only let through when allowTwoFactorSetup is set
+// (the enrolment endpoints and a few account basics). allowQueryToken also
+// accepts the token as ?access_token=, for clients such as the browser's
+// EventSource that cannot set headers.
+const createAuthenticate = ({
+  allowTwoFactorSetup = false,
+  allowQueryToken = false,
+} = {}) => async (req, res, next) => {
   try {
-    const token = req.header("Authorization")?.replace("Bearer ", "");
+    const token =
+      req.header("Authorization")?.replace("Bearer ", "") ||
+      (allowQueryToken && typeof req.query.access_token === "string"
+        ? req.query.access_token
+        : undefined);
 
     if (!token) {
       return res.status(401).json({
@@ -15,6 +36,24 @@ const authenticate = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are only valid while their session is
+    const session = decoded.sid
+      ? await Session.findOne({
+          _id: decoded.sid,
+          user: decoded.id,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        })
+      : null;
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has ended. Please log in again.",
+      });
+    }
+
     const user = await User.findById(decoded.id).select("-password");
 
     if (!user) {
@@ -31,7 +70,22 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (
+      !allowTwoFactorSetup &&
+      isTwoFactorRequired(user) &&
+      !isTwoFactorEnabled(user)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Your role requires two-factor authentication. Set it up before continuing.",
+        twoFactorSetupRequired: true,
+      });
+    }
+
     req.user = user;
+    req.sessionId = session._id;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === "TokenExpiredError") {
@@ -55,9 +109,39 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Authorization middleware for specific roles
-const authorize = (...roles) => {
-  return (req, res, next) => {
+const authenticate = createAuthenticate();
+
+// For routes an unenrolled user must still reach to set up two-factor
+const authenticateForTwoFactorSetup = createAuthenticate({
+  allowTwoFactorSetup: true,
+});
+
+// For the real-time event stream (GET /api/events/stream)
+const authenticateStream = createAuthenticate({ allowQueryToken: true });
+
+// Require the session to have re-authenticated recently (POST
+// /api/auth/step-up) before a sensitive action. Use after authenticate.
+const requireStepUp = (req, res, next) => {
+  const stepUpAt = req.authSession && req.authSession.stepUpAt;
+
+  if (
+    !stepUpAt ||
+    Date.now() - stepUpAt.getTime() > STEP_UP_WINDOW_MINUTES * 60 * 1000
+  ) {
+    return res.status(401).json({
+      success: false,
+      message: "Please confirm your identity again to continue.",
+      stepUpRequired: true,
+    });
+  }
+
+  next();
+};
+
+// Authorization middleware: the user's role must grant at least one of the
+// given permissions (see services/permissions)
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -65,36 +149,31 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+    try {
+      if (!(await hasPermission(req.user, ...permissions))) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. Insufficient permissions.",
+          required: permissions,
+          current: req.user.role,
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error("Permission check error:", error);
+      res.status(500).json({
         success: false,
-        message: "Access denied. Insufficient permissions.",
-        required: roles,
-        current: req.user.role,
+        message: "Server error during authorization.",
       });
     }
-
-    next();
   };
 };
 
-// Check if user is admin
-const isAdmin = authorize("admin");
-
-// Check if user is finance officer
-const isFinance = authorize("finance", "admin");
-
-// Check if user is manager or above
-const isManager = authorize("manager", "finance", "admin");
-
-// Check if user can approve (manager or finance)
-const canApprove = authorize("manager", "finance", "admin");
-
 module.exports = {
   authenticate,
-  authorize,
-  isAdmin,
-  isFinance,
-  isManager,
-  canApprove,
+  authenticateForTwoFactorSetup,
+  authenticateStream,
+  requireStepUp,
+  requirePermission,
 };
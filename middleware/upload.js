@@ -0,0 +1,98 @@
+// middleware/upload.js
+const multer = require("multer");
+
+const ALLOWED_RECEIPT_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "application/pdf",
+];
+
+const MAX_RECEIPT_FILE_SIZE =
+  parseInt(process.env.MAX_RECEIPT_FILE_SIZE) || 5 * 1024 * 1024; // 5MB
+
+const MAX_RECEIPT_FILES = 5;
+
+// Leading bytes each allowed type must start with; the client's declared
+// type alone is not trusted
+const FILE_SIGNATURES = {
+  "image/jpeg": [{ offset: 0, bytes: [0xff, 0xd8, 0xff] }],
+  "image/png": [
+    { offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  ],
+  "image/webp": [
+    { offset: 0, bytes: Buffer.from("RIFF") },
+    { offset: 8, bytes: Buffer.from("WEBP") },
+  ],
+  "application/pdf": [{ offset: 0, bytes: Buffer.from("%PDF-") }],
+};
+
+const matchesSignature = (file) =>
+  FILE_SIGNATURES[file.mimetype].every(({ offset, bytes }) =>
+    Buffer.from(bytes).equals(
+      file.buffer.subarray(offset, offset + bytes.length)
+    )
+  );
+
+// Files are kept in memory and handed to the storage adapter by the route
+const receiptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_RECEIPT_FILE_SIZE,
+    files: MAX_RECEIPT_FILES,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_RECEIPT_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError(
+        "LIMIT_UNEXPECTED_FILE",
+        file.fieldname
+      );
+      error.message = `Unsupported file type ${file.mimetype}. Allowed types: JPEG, PNG, WebP, PDF`;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+// Accept up to MAX_RECEIPT_FILES receipt files in the "files" field
+const uploadReceipts = (req, res, next) => {
+  receiptUpload.array("files", MAX_RECEIPT_FILES)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message:
+          error.code === "LIMIT_FILE_SIZE"
+            ? `File too large. Maximum size is ${Math.round(
+                MAX_RECEIPT_FILE_SIZE / (1024 * 1024)
+              )}MB`
+            : error.message,
+      });
+    }
+
+    if (error) {
+      return next(error);
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one file is required",
+      });
+    }
+
+    const mismatched = req.files.find((file) => !matchesSignature(file));
+
+    if (mismatched) {
+      return res.status(400).json({
+        success: false,
+        message: `${mismatched.originalname} is not a valid ${mismatched.mimetype} file`,
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  uploadReceipts,
+};
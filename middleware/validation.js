@@ -1,5 +1,6 @@
 // middleware/validation.js
 const Joi = require("joi");
+const { ADVANCE_EVENTS } = require("../services/advanceEvents");
 
 // User registration validation
 const validateRegister = (req, res, next) => {
@@ -9,9 +10,21 @@ const validateRegister = (req, res, next) => {
     email: Joi.string().email().required().lowercase().trim(),
     password: Joi.string().min(6).max(50).required(),
     employeeId: Joi.string().min(3).max(20).required().uppercase().trim(),
-    department: Joi.string().min(2).max(50).required().trim(),
+    // Invitations carry the department, so it is only required without one
+    department: Joi.string()
+      .min(2)
+      .max(50)
+      .trim()
+      .when("invitationToken", {
+        is: Joi.exist(),
+        then: Joi.optional(),
+        otherwise: Joi.required(),
+      }),
     position: Joi.string().min(2).max(50).required().trim(),
+    // Still accepted from older clients, but ignored: roles come only from
+    // invitations
     role: Joi.string().valid("staff", "manager", "finance", "admin").optional(),
+    invitationToken: Joi.string().hex().length(64).optional(),
     phone: Joi.string()
       .pattern(/^[\+]?[1-9][\d]{0,15}$/)
       .optional()
@@ -83,12 +96,327 @@ const validateAdvanceRequest = (req, res, next) => {
   next();
 };
 
+// Single receipt line on a retirement
+const receiptSchema = Joi.object({
+  description: Joi.string().min(2).max(200).required().trim(),
+  category: Joi.string()
+    .valid(
+      "transport",
+      "accommodation",
+      "meals",
+      "fuel",
+      "supplies",
+      "communication",
+      "other"
+    )
+    .required(),
+  amount: Joi.number().positive().precision(2).max(1000000).required(),
+  date: Joi.date().max("now").required(),
+  receiptNumber: Joi.string().max(50).optional().allow("").trim(),
+});
+
 // Cash advance retirement validation
 const validateRetirement = (req, res, next) => {
   const schema = Joi.object({
     retirementDate: Joi.date().required(),
-    totalExpenses: Joi.number().positive().max(1000000).required(),
-    expenseBreakdown: Joi.string().min(10).max(1000).required().trim()
+    receipts: Joi.array().items(receiptSchema).min(1).max(100).required(),
+    expenseBreakdown: Joi.string().max(1000).optional().allow("").trim(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path.join("."),
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Response to a finance query on a retirement
+const validateRetirementResponse = (req, res, next) => {
+  const schema = Joi.object({
+    comment: Joi.string().min(2).max(1000).required().trim(),
+    receipts: Joi.array().items(receiptSchema).min(1).max(100).optional(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path.join("."),
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Cash advance disbursement validation
+const validateDisbursement = (req, res, next) => {
+  const schema = Joi.object({
+    method: Joi.string().valid("cash", "bank_transfer", "check").required(),
+    reference: Joi.string().max(100).trim().when("method", {
+      is: "cash",
+      then: Joi.optional().allow(""),
+      otherwise: Joi.required(),
+    }),
+    disbursedAmount: Joi.number().positive().max(1000000).required(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Retirement review (query, approve, reject) validation
+const validateRetirementReview = (req, res, next) => {
+  const schema = Joi.object({
+    comment: Joi.string().max(1000).allow("").trim(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Approval decision (manager level or finance) validation
+const validateApprovalDecision = (req, res, next) => {
+  const schema = Joi.object({
+    comment: Joi.string().max(1000).allow("").trim(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Rejection validation; routes check that the reason is not blank
+const validateRejection = (req, res, next) => {
+  const schema = Joi.object({
+    reason: Joi.string().max(1000).allow("").trim(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Advance policy rule validation (create and update)
+const validateAdvancePolicy = (req, res, next) => {
+  const limit = Joi.number().min(0).allow(null);
+  const isUpdate = req.method === "PUT";
+
+  const schema = Joi.object({
+    name: isUpdate
+      ? Joi.string().min(2).max(100).trim()
+      : Joi.string().min(2).max(100).required().trim(),
+    description: Joi.string().max(500).allow("").trim(),
+    scope: Joi.string().valid("global", "role", "position"),
+    scopeValue: Joi.when("scope", {
+      is: "role",
+      then: Joi.string().valid("staff", "manager", "finance", "admin").required(),
+      otherwise: Joi.when("scope", {
+        is: "position",
+        then: Joi.string().min(2).max(50).required().trim(),
+        otherwise: Joi.forbidden(),
+      }),
+    }),
+    maxConcurrentUnretired: Joi.number().integer().min(0).allow(null),
+    maxOutstandingTotal: limit,
+    maxRequestAmount: limit,
+    isActive: Joi.boolean(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Delegation-of-authority matrix rule validation (create and update)
+const validateApprovalRule = (req, res, next) => {
+  const isUpdate = req.method === "PUT";
+  const levels = Joi.array()
+    .items(
+      Joi.string().valid(
+        "manager",
+        "department_head",
+        "finance_director",
+        "admin"
+      )
+    )
+    .min(1)
+    .unique();
+
+  const schema = Joi.object({
+    name: isUpdate
+      ? Joi.string().min(2).max(100).trim()
+      : Joi.string().min(2).max(100).required().trim(),
+    minAmount: isUpdate
+      ? Joi.number().min(0)
+      : Joi.number().min(0).required(),
+    levels: isUpdate ? levels : levels.required(),
+    isActive: Joi.boolean(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+const validateDelegation = (req, res, next) => {
+  const schema = Joi.object({
+    delegateId: Joi.string().hex().length(24).required().messages({
+      "string.length": "Delegate ID must be a valid ID",
+      "string.hex": "Delegate ID must be a valid ID",
+    }),
+    startDate: Joi.date().required(),
+    endDate: Joi.date().greater(Joi.ref("startDate")).required().messages({
+      "date.greater": "End date must be after the start date",
+    }),
+    reason: Joi.string().max(500).trim().allow(""),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+const validateDepartment = (req, res, next) => {
+  const isUpdate = req.method === "PUT";
+  const objectId = Joi.string().hex().length(24).allow(null);
+
+  const schema = Joi.object({
+    code: isUpdate
+      ? Joi.string().alphanum().min(2).max(20).uppercase().trim()
+      : Joi.string().alphanum().min(2).max(20).uppercase().required().trim(),
+    name: isUpdate
+      ? Joi.string().min(2).max(100).trim()
+      : Joi.string().min(2).max(100).required().trim(),
+    costCenter: Joi.string().max(30).uppercase().trim().allow(""),
+    head: objectId,
+    parentDepartment: objectId,
+    isActive: Joi.boolean(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+const validateDepartmentBudget = (req, res, next) => {
+  const isUpdate = req.method === "PUT";
+
+  const schema = Joi.object({
+    periodStart: isUpdate ? Joi.date() : Joi.date().required(),
+    periodEnd: isUpdate
+      ? Joi.date()
+      : Joi.date().greater(Joi.ref("periodStart")).required().messages({
+          "date.greater": "Period end must be after the period start",
+        }),
+    amount: isUpdate
+      ? Joi.number().min(0).precision(2)
+      : Joi.number().min(0).precision(2).required(),
+    enforcement: Joi.string().valid("warn", "block"),
+    notes: Joi.string().max(500).trim().allow(""),
   });
 
   const { error } = schema.validate(req.body);
@@ -130,6 +458,201 @@ const validatePasswordChange = (req, res, next) => {
   next();
 };
 
+// Invitation validation
+const validateInvitation = (req, res, next) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required().lowercase().trim(),
+    role: Joi.string().valid("staff", "manager", "finance", "admin").optional(),
+    department: Joi.string().min(2).max(50).required().trim(),
+    managerId: Joi.string().hex().length(24).optional(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Role permission mapping validation
+const validateRolePermissions = (req, res, next) => {
+  const schema = Joi.object({
+    permissions: Joi.array().items(Joi.string().trim()).unique().required(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Segregation-of-duties rule setting validation
+const validateSodRule = (req, res, next) => {
+  const schema = Joi.object({
+    isEnabled: Joi.boolean().required(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Email template validation
+const validateEmailTemplate = (req, res, next) => {
+  const schema = Joi.object({
+    subject: Joi.string().max(200).required().trim(),
+    body: Joi.string().max(5000).required(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Webhook validation (create and update)
+const validateWebhook = (req, res, next) => {
+  const isUpdate = req.method === "PUT";
+  const url = Joi.string().uri({ scheme: ["http", "https"] });
+  const events = Joi.array()
+    .items(Joi.string().valid(...ADVANCE_EVENTS))
+    .min(1)
+    .unique();
+
+  const schema = Joi.object({
+    name: isUpdate
+      ? Joi.string().max(100).trim()
+      : Joi.string().max(100).required().trim(),
+    url: isUpdate ? url : url.required(),
+    events: isUpdate ? events : events.required(),
+    description: Joi.string().max(500).allow("").trim(),
+    isActive: Joi.boolean(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Notification preferences validation
+const validateNotificationPreferences = (req, res, next) => {
+  const schema = Joi.object({
+    email: Joi.boolean().optional(),
+    mutedEmailTypes: Joi.array().items(Joi.string().trim()).unique().optional(),
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Forgot password validation
+const validateForgotPassword = (req, res, next) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required().lowercase().trim(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
+// Password reset validation
+const validateResetPassword = (req, res, next) => {
+  const schema = Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    newPassword: Joi.string().min(6).max(50).required(),
+  });
+
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+
+  next();
+};
+
 // Profile update validation
 const validateProfileUpdate = (req, res, next) => {
   const schema = Joi.object({
@@ -164,6 +687,24 @@ module.exports = {
   validateLogin,
   validateAdvanceRequest,
   validateRetirement,
+  validateRetirementResponse,
+  validateDisbursement,
+  validateRetirementReview,
+  validateApprovalDecision,
+  validateRejection,
+  validateAdvancePolicy,
+  validateApprovalRule,
+  validateDelegation,
+  validateDepartment,
+  validateDepartmentBudget,
   validatePasswordChange,
+  validateInvitation,
+  validateRolePermissions,
+  validateSodRule,
+  validateEmailTemplate,
+  validateWebhook,
+  validateNotificationPreferences,
+  validateForgotPassword,
+  validateResetPassword,
   validateProfileUpdate,
 };
@@ -1,11 +1,15 @@
 // models/Advance.js
 const mongoose = require("mongoose");
+const { APPROVAL_LEVELS } = require("./ApprovalRule");
+
+// Days a staff member has to retire an advance when no return date is given
+const DEFAULT_RETIREMENT_PERIOD_DAYS =
+  parseInt(process.env.RETIREMENT_PERIOD_DAYS) || 30;
 
 const advanceSchema = new mongoose.Schema(
   {
     requestNumber: {
       type: String,
-      unique: true,
       required: true,
     },
     requester: {
@@ -13,10 +17,17 @@ const advanceSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // The requester's department when the request was made; budgets are
+    // charged to it even if the requester moves department later
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+    },
     amount: {
       type: Number,
       required: [true, "Amount is required"],
       min: [1, "Amount must be greater than 0"],
+      max: [1000000, "Amount cannot exceed 1,000,000"],
     },
     purpose: {
       type: String,
@@ -33,6 +44,10 @@ const advanceSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    dateNeeded: {
+      type: Date,
+      required: [true, "Date needed is required"],
+    },
     expectedReturnDate: {
       type: Date,
       required: [true, "Expected return date is required"],
@@ -44,6 +59,8 @@ const advanceSchema = new mongoose.Schema(
         "manager_approved",
         "finance_approved",
         "disbursed",
+        "retirement_submitted",
+        "retirement_queried",
         "rejected",
         "retired",
       ],
@@ -55,9 +72,11 @@ const advanceSchema = new mongoose.Schema(
           type: mongoose.Schema.Types.ObjectId,
           ref: "User",
         },
+        // Approval level for the approval chain, or "finance" for the
+        // finance sign-off that follows it
         role: {
           type: String,
-          enum: ["manager", "finance"],
+          enum: [...APPROVAL_LEVELS, "finance"],
         },
         status: {
           type: String,
@@ -67,12 +86,46 @@ const advanceSchema = new mongoose.Schema(
           type: String,
           trim: true,
         },
+        // Set when a delegate decided in place of an absent approver
+        onBehalfOf: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
         date: {
           type: Date,
           default: Date.now,
         },
       },
     ],
+    // Levels that must approve, in order, fixed when the request is created
+    approvalChain: [
+      {
+        level: {
+          type: String,
+          enum: APPROVAL_LEVELS,
+        },
+        status: {
+          type: String,
+          enum: ["waiting", "approved", "rejected"],
+          default: "waiting",
+        },
+        approver: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        onBehalfOf: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        date: Date,
+      },
+    ],
+    // Level the request is waiting on; null once the chain is finished
+    currentApprovalLevel: {
+      type: String,
+      enum: [...APPROVAL_LEVELS, null],
+      default: null,
+    },
     disbursement: {
       disbursedBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -88,25 +141,134 @@ const advanceSchema = new mongoose.Schema(
     },
     retirement: {
       retiredDate: Date,
+      expenseBreakdown: {
+        type: String,
+        trim: true,
+      },
       receipts: [
         {
-          description: String,
-          amount: Number,
+          description: {
+            type: String,
+            required: [true, "Receipt description is required"],
+            trim: true,
+          },
+          category: {
+            type: String,
+            enum: [
+              "transport",
+              "accommodation",
+              "meals",
+              "fuel",
+              "supplies",
+              "communication",
+              "other",
+            ],
+            default: "other",
+          },
+          amount: {
+            type: Number,
+            required: [true, "Receipt amount is required"],
+            min: [0.01, "Receipt amount must be greater than 0"],
+          },
           date: Date,
-          receiptNumber: String,
+          receiptNumber: {
+            type: String,
+            trim: true,
+          },
+          attachments: [
+            {
+              originalName: String,
+              mimeType: String,
+              size: Number,
+              storageKey: {
+                type: String,
+                required: true,
+              },
+              uploadedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+              },
+              uploadedAt: {
+                type: Date,
+                default: Date.now,
+              },
+            },
+          ],
         },
       ],
       totalSpent: Number,
-      balanceReturned: Number,
+      // Unspent cash the employee must refund
+      balanceDue: {
+        type: Number,
+        default: 0,
+      },
+      // Over-spend the company must reimburse to the employee
+      reimbursementDue: {
+        type: Number,
+        default: 0,
+      },
       retiredBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
       },
+      submittedDate: Date,
       verifiedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
       },
+      verifiedDate: Date,
+      // Conversation between the requester and finance during verification
+      reviewThread: [
+        {
+          author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+          action: {
+            type: String,
+            enum: ["submitted", "queried", "responded", "approved", "rejected"],
+          },
+          comment: {
+            type: String,
+            trim: true,
+            maxlength: [1000, "Comment cannot exceed 1000 characters"],
+          },
+          date: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
     },
+    // Reminders sent by the scheduler (see services/reminders)
+    reminders: [
+      {
+        kind: {
+          type: String,
+          enum: ["retirement_overdue", "approval_overdue"],
+        },
+        recipients: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        ],
+        // Approval level, or "finance", that an approval reminder chased
+        approvalLevel: String,
+        // Days past the retirement deadline, or days the approval had been
+        // waiting
+        days: Number,
+        // Set once an overdue retirement is escalated to the line manager
+        escalated: {
+          type: Boolean,
+          default: false,
+        },
+        sentAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     priority: {
       type: String,
       enum: ["low", "medium", "high", "urgent"],
@@ -116,6 +278,10 @@ const advanceSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // _id of the CashAdvance document this was migrated from, if any
+    legacyId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
   },
   {
     timestamps: true,
@@ -125,14 +291,26 @@ const advanceSchema = new mongoose.Schema(
 // Index for better performance
 advanceSchema.index({ requester: 1 });
 advanceSchema.index({ status: 1 });
+advanceSchema.index({ status: 1, currentApprovalLevel: 1 });
 advanceSchema.index({ requestDate: -1 });
 advanceSchema.index({ requestNumber: 1 }, { unique: true });
+advanceSchema.index({ requester: 1, createdAt: -1 });
+advanceSchema.index({ department: 1, requestDate: 1 });
+advanceSchema.index({ legacyId: 1 }, { unique: true, sparse: true });
+
+// Generate request number and default return date before validation,
+// since both fields are required
+advanceSchema.pre("validate", async function (next) {
+  if (!this.expectedReturnDate && this.dateNeeded) {
+    const returnDate = new Date(this.dateNeeded);
+    returnDate.setDate(returnDate.getDate() + DEFAULT_RETIREMENT_PERIOD_DAYS);
+    this.expectedReturnDate = returnDate;
+  }
 
-// Generate request number before saving
-advanceSchema.pre("save", async function (next) {
   if (!this.requestNumber) {
-    const year = new Date().getFullYear();
-    const month = String(new Date().getMonth() + 1).padStart(2, "0");
+    const requestDate = this.requestDate || new Date();
+    const year = requestDate.getFullYear();
+    const month = String(requestDate.getMonth() + 1).padStart(2, "0");
 
     // Find the last request number for this month
     const lastAdvance = await this.constructor
@@ -155,46 +333,109 @@ advanceSchema.pre("save", async function (next) {
   next();
 });
 
-// Instance method to check if advance can be approved by role
-advanceSchema.methods.canBeApprovedBy = function (userRole) {
-  if (this.status === "rejected" || this.status === "retired") {
-    return false;
-  }
-
-  if (userRole === "manager" && this.status === "pending") {
-    return true;
-  }
-
-  if (userRole === "finance" && this.status === "manager_approved") {
-    return true;
-  }
-
-  return false;
-};
-
-// Instance method to add approval
+// Instance method to record an approval decision. Status changes are made by
+// services/advanceWorkflow, not here.
 advanceSchema.methods.addApproval = function (
   approverId,
   role,
   status,
-  comment = ""
+  comment = "",
+  onBehalfOf
 ) {
   this.approvals.push({
     approver: approverId,
     role,
     status,
     comment,
+    onBehalfOf,
     date: new Date(),
   });
+};
+
+// Instance method to set the approval chain on a new request
+advanceSchema.methods.setApprovalChain = function (levels) {
+  this.approvalChain = levels.map((level) => ({ level, status: "waiting" }));
+  this.currentApprovalLevel = levels[0] || null;
+};
+
+// Instance method to get the level the request is waiting on. Requests
+// created before the approval matrix existed only need their manager.
+advanceSchema.methods.getCurrentApprovalLevel = function () {
+  if (this.status !== "pending") return null;
+  return this.currentApprovalLevel || "manager";
+};
 
-  // Update main status based on approval
-  if (status === "rejected") {
-    this.status = "rejected";
-  } else if (role === "manager" && status === "approved") {
-    this.status = "manager_approved";
-  } else if (role === "finance" && status === "approved") {
-    this.status = "finance_approved";
+// Instance method to check whether one approval would finish the chain
+advanceSchema.methods.isFinalApprovalStep = function () {
+  return (
+    this.approvalChain.filter((step) => step.status === "waiting").length <= 1
+  );
+};
+
+// Instance method to record a decision on the current approval step
+advanceSchema.methods.recordApprovalStep = function (
+  approverId,
+  decision,
+  onBehalfOf
+) {
+  const step = this.approvalChain.find((item) => item.status === "waiting");
+
+  if (step) {
+    step.status = decision;
+    step.approver = approverId;
+    step.onBehalfOf = onBehalfOf;
+    step.date = new Date();
   }
+
+  const nextStep = this.approvalChain.find(
+    (item) => item.status === "waiting"
+  );
+  this.currentApprovalLevel =
+    decision === "approved" && nextStep ? nextStep.level : null;
+};
+
+// Instance method to add an entry to the retirement review conversation
+advanceSchema.methods.addReviewEntry = function (
+  authorId,
+  action,
+  comment = ""
+) {
+  this.retirement.reviewThread.push({
+    author: authorId,
+    action,
+    comment,
+    date: new Date(),
+  });
+};
+
+// Instance method to total the retirement receipts against the amount
+// actually handed out and derive the refund or reimbursement owed
+advanceSchema.methods.reconcileRetirement = function () {
+  const toCents = (value) => Math.round(value * 100);
+
+  const spentCents = this.retirement.receipts.reduce(
+    (sum, receipt) => sum + toCents(receipt.amount),
+    0
+  );
+  const advancedCents = toCents(
+    this.disbursement.disbursedAmount || this.amount
+  );
+
+  this.retirement.totalSpent = spentCents / 100;
+  this.retirement.balanceDue = Math.max(advancedCents - spentCents, 0) / 100;
+  this.retirement.reimbursementDue =
+    Math.max(spentCents - advancedCents, 0) / 100;
+
+  return this.retirement;
+};
+
+// Instance method to list the storage keys of every receipt attachment
+advanceSchema.methods.getAttachmentKeys = function () {
+  const receipts = (this.retirement && this.retirement.receipts) || [];
+
+  return receipts.flatMap((receipt) =>
+    receipt.attachments.map((attachment) => attachment.storageKey)
+  );
 };
 
 // Static method to get pending approvals for a user
@@ -212,4 +453,67 @@ advanceSchema.statics.getPendingForApproval = function (userRole, userId) {
     .sort({ requestDate: 1 });
 };
 
+// Static method to get request stats for a single requester
+advanceSchema.statics.getUserStats = async function (userId) {
+  const emptyStats = {
+    totalRequests: 0,
+    pending: 0,
+    approved: 0,
+    managerApproved: 0,
+    financeApproved: 0,
+    disbursed: 0,
+    inRetirementReview: 0,
+    rejected: 0,
+    retired: 0,
+    totalAmount: 0,
+  };
+
+  try {
+    const breakdown = await this.aggregate([
+      {
+        $match: {
+          requester: new mongoose.Types.ObjectId(userId),
+          isActive: true,
+        },
+      },
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+          totalAmount: { $sum: "$amount" },
+        },
+      },
+    ]);
+
+    const count = (status) =>
+      breakdown.find((stat) => stat._id === status)?.count || 0;
+
+    const stats = {
+      ...emptyStats,
+      totalRequests: breakdown.reduce((sum, stat) => sum + stat.count, 0),
+      pending: count("pending"),
+      managerApproved: count("manager_approved"),
+      financeApproved: count("finance_approved"),
+      disbursed: count("disbursed"),
+      inRetirementReview:
+        count("retirement_submitted") + count("retirement_queried"),
+      rejected: count("rejected"),
+      retired: count("retired"),
+      totalAmount: breakdown.reduce((sum, stat) => sum + stat.totalAmount, 0),
+    };
+
+    // "approved" covers everything past manager approval and not yet retired
+    stats.approved =
+      stats.managerApproved +
+      stats.financeApproved +
+      stats.disbursed +
+      stats.inRetirementReview;
+
+    return stats;
+  } catch (error) {
+    console.error("Error in getUserStats:", error);
+    return emptyStats;
+  }
+};
+
 module.exports = mongoose.model("Advance", advanceSchema);
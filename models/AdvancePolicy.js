@@ -0,0 +1,84 @@
+// models/AdvancePolicy.js
+const mongoose = require("mongoose");
+
+const advancePolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Policy name is required"],
+      trim: true,
+      maxlength: [100, "Policy name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    // Who the policy applies to: everyone, one role, or one position (grade)
+    scope: {
+      type: String,
+      enum: ["global", "role", "position"],
+      default: "global",
+      required: true,
+    },
+    scopeValue: {
+      type: String,
+      trim: true,
+      required: [
+        function () {
+          return this.scope !== "global";
+        },
+        "Scope value is required for role and position policies",
+      ],
+    },
+    maxConcurrentUnretired: {
+      type: Number,
+      min: [0, "Limit cannot be negative"],
+    },
+    maxOutstandingTotal: {
+      type: Number,
+      min: [0, "Limit cannot be negative"],
+    },
+    maxRequestAmount: {
+      type: Number,
+      min: [0, "Limit cannot be negative"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+advancePolicySchema.index({ isActive: 1, scope: 1 });
+
+// Static method to find the active policies that apply to a user
+advancePolicySchema.statics.findApplicableTo = function (user) {
+  return this.find({
+    isActive: true,
+    $or: [
+      { scope: "global" },
+      { scope: "role", scopeValue: user.role },
+      {
+        scope: "position",
+        scopeValue: new RegExp(
+          `^${user.position.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`,
+          "i"
+        ),
+      },
+    ],
+  });
+};
+
+module.exports = mongoose.model("AdvancePolicy", advancePolicySchema);
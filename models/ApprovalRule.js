@@ -0,0 +1,71 @@
+// models/ApprovalRule.js
+const mongoose = require("mongoose");
+
+// Approval levels in the delegation-of-authority matrix, lowest first
+const APPROVAL_LEVELS = [
+  "manager",
+  "department_head",
+  "finance_director",
+  "admin",
+];
+
+// One row of the delegation-of-authority matrix: requests of at least
+// `minAmount` need sign-off from every level in `levels`, in order
+const approvalRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+      maxlength: [100, "Rule name cannot exceed 100 characters"],
+    },
+    minAmount: {
+      type: Number,
+      required: [true, "Minimum amount is required"],
+      min: [0, "Minimum amount cannot be negative"],
+    },
+    levels: {
+      type: [
+        {
+          type: String,
+          enum: APPROVAL_LEVELS,
+        },
+      ],
+      validate: {
+        validator: (levels) =>
+          levels.length > 0 && new Set(levels).size === levels.length,
+        message: "Levels must be a non-empty list without duplicates",
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+approvalRuleSchema.index({ isActive: 1, minAmount: -1 });
+
+// Static method to get the approval chain for an amount. The rule with the
+// highest threshold not above the amount wins; without one, the line
+// manager alone approves.
+approvalRuleSchema.statics.getChainForAmount = async function (amount) {
+  const rule = await this.findOne({
+    isActive: true,
+    minAmount: { $lte: amount },
+  }).sort({ minAmount: -1 });
+
+  return rule ? [...rule.levels] : ["manager"];
+};
+
+const ApprovalRule = mongoose.model("ApprovalRule", approvalRuleSchema);
+
+module.exports = ApprovalRule;
+module.exports.APPROVAL_LEVELS = APPROVAL_LEVELS;
@@ -0,0 +1,90 @@
+// models/AuditLog.js
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actorRole: {
+      type: String,
+    },
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+      trim: true,
+    },
+    targetType: {
+      type: String,
+      required: [true, "Target type is required"],
+      enum: [
+        "Advance",
+        "User",
+        "AdvancePolicy",
+        "ApprovalRule",
+        "Delegation",
+        "Department",
+        "DepartmentBudget",
+        "Invitation",
+        "RolePermission",
+        "SodRule",
+        "EmailTemplate",
+        "Webhook",
+      ],
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Target ID is required"],
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Index for the audit query endpoint
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Audit entries are append-only: refuse any update or delete
+const rejectMutation = function (next) {
+  next(new Error("Audit log entries cannot be modified or deleted"));
+};
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  auditLogSchema.pre(operation, rejectMutation);
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
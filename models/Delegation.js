@@ -0,0 +1,84 @@
+// models/Delegation.js
+const mongoose = require("mongoose");
+
+// A manager handing their approval authority to someone else for a period,
+// e.g. while on leave. Delegations stop applying once endDate has passed.
+const delegationSchema = new mongoose.Schema(
+  {
+    delegator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Delegator is required"],
+    },
+    delegate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Delegate is required"],
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+delegationSchema.index({ delegate: 1, startDate: 1, endDate: 1 });
+delegationSchema.index({ delegator: 1, endDate: -1 });
+
+// Active = started, not yet ended and not revoked
+delegationSchema.virtual("isCurrentlyActive").get(function () {
+  const now = new Date();
+  return !this.revokedAt && this.startDate <= now && this.endDate >= now;
+});
+
+const activeFilter = () => {
+  const now = new Date();
+  return {
+    revokedAt: null,
+    startDate: { $lte: now },
+    endDate: { $gte: now },
+  };
+};
+
+// Static method to find delegations a user can currently act under
+delegationSchema.statics.findActiveForDelegate = function (delegateId) {
+  return this.find({ delegate: delegateId, ...activeFilter() });
+};
+
+// Static method to find a non-revoked delegation from the delegator that
+// overlaps the given period
+delegationSchema.statics.findOverlapping = function (
+  delegatorId,
+  startDate,
+  endDate
+) {
+  return this.findOne({
+    delegator: delegatorId,
+    revokedAt: null,
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate },
+  });
+};
+
+module.exports = mongoose.model("Delegation", delegationSchema);
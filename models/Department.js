@@ -0,0 +1,85 @@
+// models/Department.js
+const mongoose = require("mongoose");
+
+const departmentSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Department code is required"],
+      trim: true,
+      uppercase: true,
+      maxlength: [20, "Department code cannot exceed 20 characters"],
+    },
+    name: {
+      type: String,
+      required: [true, "Department name is required"],
+      trim: true,
+      maxlength: [100, "Department name cannot exceed 100 characters"],
+    },
+    costCenter: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: [30, "Cost center cannot exceed 30 characters"],
+    },
+    head: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    parentDepartment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+departmentSchema.index({ code: 1 }, { unique: true });
+departmentSchema.index({ parentDepartment: 1 });
+
+// Static method to look a department up by ID or by code, as users may
+// send either when registering or updating their profile
+departmentSchema.statics.findByIdOrCode = function (value) {
+  const filter = mongoose.isValidObjectId(value)
+    ? { $or: [{ _id: value }, { code: String(value).toUpperCase() }] }
+    : { code: String(value).toUpperCase() };
+
+  return this.findOne(filter);
+};
+
+// Static method to get the IDs of every department below the given one
+departmentSchema.statics.getDescendantIds = async function (departmentId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(departmentId)) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "parentDepartment",
+        as: "descendants",
+      },
+    },
+    { $project: { "descendants._id": 1 } },
+  ]);
+
+  return result ? result.descendants.map((department) => department._id) : [];
+};
+
+module.exports = mongoose.model("Department", departmentSchema);
@@ -0,0 +1,91 @@
+// models/DepartmentBudget.js
+const mongoose = require("mongoose");
+
+// How much a department may commit to cash advances over one period
+const departmentBudgetSchema = new mongoose.Schema(
+  {
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department is required"],
+    },
+    periodStart: {
+      type: Date,
+      required: [true, "Period start is required"],
+    },
+    periodEnd: {
+      type: Date,
+      required: [true, "Period end is required"],
+      validate: {
+        validator: function (value) {
+          return !this.periodStart || value > this.periodStart;
+        },
+        message: "Period end must be after the period start",
+      },
+    },
+    amount: {
+      type: Number,
+      required: [true, "Budget amount is required"],
+      min: [0, "Budget amount cannot be negative"],
+    },
+    // warn: approvals over budget go through with a warning
+    // block: approvals over budget are refused
+    enforcement: {
+      type: String,
+      enum: ["warn", "block"],
+      default: "warn",
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+departmentBudgetSchema.index({ department: 1, periodStart: 1 });
+
+// Static method to find the department's budget covering a date
+departmentBudgetSchema.statics.findForDate = function (
+  departmentId,
+  date = new Date()
+) {
+  return this.findOne({
+    department: departmentId,
+    periodStart: { $lte: date },
+    periodEnd: { $gte: date },
+  });
+};
+
+// Static method to find another budget of the department overlapping a period
+departmentBudgetSchema.statics.findOverlapping = function (
+  departmentId,
+  periodStart,
+  periodEnd,
+  excludeId
+) {
+  const filter = {
+    department: departmentId,
+    periodStart: { $lte: periodEnd },
+    periodEnd: { $gte: periodStart },
+  };
+
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+
+  return this.findOne(filter);
+};
+
+module.exports = mongoose.model("DepartmentBudget", departmentBudgetSchema);
@@ -0,0 +1,55 @@
+// models/EmailJob.js
+const mongoose = require("mongoose");
+
+// One outgoing email in the send queue (see services/emailQueue)
+const emailJobSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: [true, "Recipient address is required"],
+      trim: true,
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+    },
+    text: {
+      type: String,
+      required: [true, "Body is required"],
+    },
+    // What the email is about, for tracing a send back to its cause
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // When a worker claimed the job; stale claims are picked up again
+    lockedAt: Date,
+    lastError: String,
+    messageId: String,
+    sentAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model("EmailJob", emailJobSchema);
@@ -0,0 +1,34 @@
+// models/EmailTemplate.js
+const mongoose = require("mongoose");
+
+// Admin-edited email for one notification type. Types without a document
+// use the defaults in services/emailTemplates.
+const emailTemplateSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "Notification type is required"],
+      unique: true,
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+      trim: true,
+      maxlength: [200, "Subject cannot exceed 200 characters"],
+    },
+    body: {
+      type: String,
+      required: [true, "Body is required"],
+      maxlength: [5000, "Body cannot exceed 5000 characters"],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("EmailTemplate", emailTemplateSchema);
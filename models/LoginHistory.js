@@ -0,0 +1,58 @@
+// models/LoginHistory.js
+const mongoose = require("mongoose");
+
+const RETENTION_DAYS =
+  parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS, 10) || 180;
+
+// One sign-in attempt, successful or not
+const loginHistorySchema = new mongoose.Schema(
+  {
+    // Empty when the email did not match any account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: [
+        "success",
+        "invalid_credentials",
+        "invalid_two_factor",
+        "invalid_step_up",
+        "unknown_account",
+        "locked",
+        "deactivated",
+        "ip_blocked",
+      ],
+      required: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index({ ip: 1, success: 1, createdAt: -1 });
+// Old entries are removed by MongoDB
+loginHistorySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("LoginHistory", loginHistorySchema);
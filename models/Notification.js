@@ -0,0 +1,67 @@
+// models/Notification.js
+const mongoose = require("mongoose");
+
+// In-app message about a workflow event, for one recipient
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Recipient is required"],
+    },
+    type: {
+      type: String,
+      required: [true, "Notification type is required"],
+      enum: [
+        "approval_required",
+        "advance_submitted",
+        "advance_approved",
+        "advance_rejected",
+        "advance_disbursed",
+        "retirement_due",
+        "retirement_overdue",
+        "retirement_escalated",
+        "retirement_submitted",
+        "approval_overdue",
+        "retirement_queried",
+        "retirement_rejected",
+        "retirement_verified",
+      ],
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    advance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Advance",
+    },
+    // User whose action caused the notification
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ advance: 1, type: 1 });
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function (userId) {
+  return this.countDocuments({ recipient: userId, readAt: null });
+};
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,33 @@
+// models/PasswordResetRequest.js
+const mongoose = require("mongoose");
+
+// One password reset request, counted against the per-hour limit. Kept
+// apart from PasswordResetToken because tokens are deleted when they
+// expire, which can be well inside the hour.
+const passwordResetRequestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    requestedIp: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+passwordResetRequestSchema.index({ user: 1, createdAt: -1 });
+// Requests older than the rate-limit window are removed by MongoDB
+passwordResetRequestSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 60 * 60 }
+);
+
+module.exports = mongoose.model(
+  "PasswordResetRequest",
+  passwordResetRequestSchema
+);
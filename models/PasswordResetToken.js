@@ -0,0 +1,38 @@
+// models/PasswordResetToken.js
+const mongoose = require("mongoose");
+
+// Single-use password reset token. Only the SHA-256 hash is stored; the raw
+// token exists only in the email sent to the user.
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+    requestedIp: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+passwordResetTokenSchema.index({ tokenHash: 1 }, { unique: true });
+passwordResetTokenSchema.index({ user: 1, createdAt: -1 });
+// Expired tokens are removed by MongoDB
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordResetToken", passwordResetTokenSchema);
@@ -0,0 +1,28 @@
+// models/RolePermission.js
+const mongoose = require("mongoose");
+
+// The permission set granted to a role. Roles without a document use the
+// defaults in services/permissions.
+const rolePermissionSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      required: [true, "Role is required"],
+      enum: ["staff", "manager", "finance", "admin"],
+      unique: true,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("RolePermission", rolePermissionSchema);
@@ -0,0 +1,80 @@
+// models/Session.js
+const mongoose = require("mongoose");
+
+// One signed-in device. Access tokens carry the session ID and stop working
+// as soon as the session is revoked; the refresh token is only stored hashed.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Hash of the token this one replaced, kept to detect refresh token reuse
+    previousTokenHash: {
+      type: String,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    // Last re-authentication for sensitive actions (see requireStepUp)
+    stepUpAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "revoked",
+        "password_change",
+        "password_reset",
+        "deactivated",
+        "token_reuse",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static method to find a user's sessions that can still be used
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
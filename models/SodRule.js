@@ -0,0 +1,34 @@
+// models/SodRule.js
+const mongoose = require("mongoose");
+
+// Admin setting for one segregation-of-duties rule. Rules without a
+// document are enforced (see services/segregationOfDuties).
+const sodRuleSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: String,
+      required: [true, "Rule is required"],
+      enum: [
+        "requester_approver",
+        "requester_disburser",
+        "requester_verifier",
+        "approver_disburser",
+        "disburser_verifier",
+      ],
+      unique: true,
+    },
+    isEnabled: {
+      type: Boolean,
+      default: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("SodRule", sodRuleSchema);
@@ -41,9 +41,9 @@ const userSchema = new mongoose.Schema(
       uppercase: true,
     },
     department: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
       required: [true, "Department is required"],
-      trim: true,
     },
     position: {
       type: String,
@@ -56,6 +56,19 @@ const userSchema = new mongoose.Schema(
       default: "staff",
       required: true,
     },
+    // Line manager; the reporting hierarchy is built from this link
+    managerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Extra approval levels held on top of the role (see models/ApprovalRule)
+    approvalAuthorities: [
+      {
+        type: String,
+        enum: ["department_head", "finance_director"],
+      },
+    ],
     phone: {
       type: String,
       trim: true,
@@ -68,6 +81,58 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    // TOTP second factor (see services/twoFactor)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret generated during setup, until the first code confirms it
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last time step accepted, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    // Wrong passwords since the last successful login or lockout
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    notificationPreferences: {
+      email: {
+        type: Boolean,
+        default: true,
+      },
+      // Notification types the user does not want by email
+      mutedEmailTypes: [
+        {
+          type: String,
+        },
+      ],
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -82,6 +147,8 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ employeeId: 1 }, { unique: true });
 userSchema.index({ role: 1 });
+userSchema.index({ managerId: 1 });
+userSchema.index({ department: 1 });
 
 // Hash password before saving
 userSchema.pre("save", async function (next) {
@@ -117,6 +184,12 @@ userSchema.statics.findByRole = function (role) {
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   delete userObject.__v;
   return userObject;
 };
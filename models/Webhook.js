@@ -0,0 +1,68 @@
+// models/Webhook.js
+const mongoose = require("mongoose");
+
+// An external endpoint that receives advance events (see services/webhooks)
+const webhookSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Webhook name is required"],
+      trim: true,
+      maxlength: [100, "Webhook name cannot exceed 100 characters"],
+    },
+    url: {
+      type: String,
+      required: [true, "Webhook URL is required"],
+      trim: true,
+      match: [/^https?:\/\/\S+$/i, "Webhook URL must be an http(s) URL"],
+    },
+    // Advance events the endpoint subscribes to, e.g. "advance.disbursed"
+    events: {
+      type: [String],
+      validate: {
+        validator: (events) =>
+          events.length > 0 && new Set(events).size === events.length,
+        message: "Events must be a non-empty list without duplicates",
+      },
+    },
+    // Shared secret for the HMAC signature; only shown when created or
+    // rotated
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSchema.index({ isActive: 1, events: 1 });
+
+// Instance method to hide the signing secret from API responses
+webhookSchema.methods.toJSON = function () {
+  const webhookObject = this.toObject();
+  delete webhookObject.secret;
+  delete webhookObject.__v;
+  return webhookObject;
+};
+
+module.exports = mongoose.model("Webhook", webhookSchema);
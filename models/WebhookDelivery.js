@@ -0,0 +1,77 @@
+// models/WebhookDelivery.js
+const mongoose = require("mongoose");
+
+const RETENTION_DAYS =
+  parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30;
+
+// One event sent (or to be sent) to one webhook, with the outcome of the
+// latest attempt
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // Same for every delivery of one event, so receivers can drop duplicates
+    eventId: {
+      type: String,
+      required: true,
+    },
+    advance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Advance",
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sending", "delivered", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // When a worker claimed the delivery; stale claims are picked up again
+    lockedAt: Date,
+    responseStatus: Number,
+    // First part of the endpoint's response body, for troubleshooting
+    responseBody: String,
+    error: String,
+    durationMs: Number,
+    deliveredAt: Date,
+    // Original delivery when this one was created by a replay
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+    },
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+// Old delivery logs are removed by MongoDB
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
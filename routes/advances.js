@@ -1,33 +1,115 @@
 const express = require("express");
-const CashAdvance = require("../models/CashAdvance");
-const { authenticate } = require("../middleware/auth");
+const Advance = require("../models/Advance");
+const ApprovalRule = require("../models/ApprovalRule");
+const Notification = require("../models/Notification");
+const { authenticate, requirePermission } = require("../middleware/auth");
+const { uploadReceipts } = require("../middleware/upload");
 const {
   validateAdvanceRequest,
   validateRetirement,
+  validateRetirementResponse,
 } = require("../middleware/validation");
+const { transition } = require("../services/advanceWorkflow");
+const { snapshot, recordAudit } = require("../services/audit");
+const { emitAdvanceEvent } = require("../services/advanceEvents");
+const { getStorage } = require("../services/storage");
+const { evaluateAdvanceRequest } = require("../services/advancePolicy");
+const { isInTeam } = require("../services/orgHierarchy");
+const { hasPermission } = require("../services/permissions");
 
 const router = express.Router();
 
+// Statuses in which the requester may still attach receipt evidence
+const ATTACHMENT_UPLOAD_STATUSES = [
+  "retirement_submitted",
+  "retirement_queried",
+];
+
+// Replace the retirement receipt lines and re-run the reconciliation.
+// Returns the storage keys of attachments on the replaced lines.
+const replaceReceipts = (advance, receipts) => {
+  const replacedKeys = advance.getAttachmentKeys();
+
+  advance.retirement.receipts = receipts;
+  advance.reconcileRetirement();
+
+  return replacedKeys;
+};
+
+const describeBalance = ({ balanceDue, reimbursementDue }) => {
+  if (balanceDue > 0) {
+    return `Unspent balance of ${balanceDue} must be refunded`;
+  }
+  if (reimbursementDue > 0) {
+    return `Over-spend of ${reimbursementDue} will be reimbursed`;
+  }
+  return "Expenses match the amount advanced";
+};
+
+// Requester, anyone with advance.view.all, or a manager with
+// advance.view.team the requester reports to (same team rule as
+// GET /api/manager/requests/:id)
+const canViewAdvance = async (user, advance) => {
+  if (String(advance.requester) === String(user.id)) {
+    return true;
+  }
+
+  if (await hasPermission(user, "advance.view.all")) {
+    return true;
+  }
+
+  if (await hasPermission(user, "advance.view.team")) {
+    return isInTeam(user, advance.requester);
+  }
+
+  return false;
+};
+
 // @route   POST /api/advances
 // @desc    Create new cash advance request
 // @access  Private (Staff)
 router.post("/", authenticate, validateAdvanceRequest, async (req, res) => {
   try {
-    const { amount, purpose, description, dateNeeded, priority } = req.body;
+    const { purpose, description, dateNeeded, priority } = req.body;
+    // Validation accepts numeric strings such as "500"; the policy limits and
+    // approval matrix need a number
+    const amount = Number(req.body.amount);
+
+    const { violations } = await evaluateAdvanceRequest(req.user, amount);
+
+    if (violations.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Request exceeds your cash advance limits",
+        violations,
+      });
+    }
 
-    const advance = new CashAdvance({
-      user: req.user.id,
+    const advance = new Advance({
+      requester: req.user.id,
+      department: req.user.department,
       amount,
       purpose,
       description,
       dateNeeded,
       priority,
     });
+    advance.setApprovalChain(await ApprovalRule.getChainForAmount(amount));
 
     await advance.save();
+    await recordAudit(req, {
+      action: "advance.create",
+      targetType: "Advance",
+      targetId: advance._id,
+      after: snapshot(advance),
+    });
+    await emitAdvanceEvent("advance.submitted", { advance, actor: req.user });
 
     // Populate user details for response
-    await advance.populate("user", "firstName lastName email employeeId");
+    await advance.populate(
+      "requester",
+      "firstName lastName email employeeId"
+    );
 
     res.status(201).json({
       success: true,
@@ -51,7 +133,7 @@ router.get("/my-requests", authenticate, async (req, res) => {
     const { status, page = 1, limit = 10, sort = "-createdAt" } = req.query;
 
     // Build filter
-    const filter = { user: req.user.id };
+    const filter = { requester: req.user.id, isActive: true };
     if (status && status !== "all") {
       filter.status = status;
     }
@@ -59,14 +141,14 @@ router.get("/my-requests", authenticate, async (req, res) => {
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const advances = await CashAdvance.find(filter)
+    const advances = await Advance.find(filter)
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit))
-      .populate("user", "firstName lastName employeeId")
-      .populate("approvedBy", "firstName lastName");
+      .populate("requester", "firstName lastName employeeId")
+      .populate("approvals.approver", "firstName lastName role");
 
-    const total = await CashAdvance.countDocuments(filter);
+    const total = await Advance.countDocuments(filter);
     const totalPages = Math.ceil(total / parseInt(limit));
 
     res.json({
@@ -96,15 +178,19 @@ router.get("/my-requests", authenticate, async (req, res) => {
 // @access  Private (Staff)
 router.get("/my-requests/:id", authenticate, async (req, res) => {
   try {
-    const advance = await CashAdvance.findOne({
+    const advance = await Advance.findOne({
       _id: req.params.id,
-      user: req.user.id,
+      requester: req.user.id,
+      isActive: true,
     })
       .populate(
-        "user",
+        "requester",
         "firstName lastName email employeeId department position"
       )
-      .populate("approvedBy", "firstName lastName");
+      .populate("approvals.approver", "firstName lastName role")
+      .populate("approvals.onBehalfOf", "firstName lastName role")
+      .populate("disbursement.disbursedBy", "firstName lastName")
+      .populate("retirement.reviewThread.author", "firstName lastName role");
 
     if (!advance) {
       return res.status(404).json({
@@ -127,7 +213,7 @@ router.get("/my-requests/:id", authenticate, async (req, res) => {
 });
 
 // @route   PUT /api/advances/:id/retire
-// @desc    Retire a cash advance
+// @desc    Submit a cash advance retirement for finance verification
 // @access  Private (Staff)
 router.put(
   "/:id/retire",
@@ -135,11 +221,12 @@ router.put(
   validateRetirement,
   async (req, res) => {
     try {
-      const { retirementDate, totalExpenses, expenseBreakdown } = req.body;
+      const { retirementDate, receipts, expenseBreakdown } = req.body;
 
-      const advance = await CashAdvance.findOne({
+      const advance = await Advance.findOne({
         _id: req.params.id,
-        user: req.user.id,
+        requester: req.user.id,
+        isActive: true,
       });
 
       if (!advance) {
@@ -149,40 +236,118 @@ router.put(
         });
       }
 
-      if (advance.status !== "approved") {
-        return res.status(400).json({
-          success: false,
-          message: "Only approved advances can be retired",
-        });
+      const before = snapshot(advance);
+      await transition(advance, "submit_retirement", req.user, {
+        comment: expenseBreakdown,
+      });
+
+      // A retirement returned by finance is resubmitted from scratch
+      const replacedKeys = replaceReceipts(advance, receipts);
+      advance.retirement.retiredDate = retirementDate;
+      advance.retirement.expenseBreakdown = expenseBreakdown;
+      advance.retirement.retiredBy = req.user.id;
+      advance.retirement.submittedDate = new Date();
+
+      await advance.save();
+      await recordAudit(req, {
+        action: "advance.submit_retirement",
+        targetType: "Advance",
+        targetId: advance._id,
+        before,
+        after: snapshot(advance),
+      });
+      await emitAdvanceEvent("advance.retirement_submitted", {
+        advance,
+        actor: req.user,
+      });
+
+      const storage = getStorage();
+      await Promise.all(replacedKeys.map((key) => storage.remove(key)));
+
+      res.json({
+        success: true,
+        message: `Retirement submitted for finance verification. ${describeBalance(
+          advance.retirement
+        )}`,
+        data: { advance },
+      });
+    } catch (error) {
+      if (error.name === "TransitionError") {
+        return res.status(error.status).json(error.toJSON());
       }
 
-      if (advance.status === "retired") {
-        return res.status(400).json({
+      console.error("Submit retirement error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error submitting retirement",
+      });
+    }
+  }
+);
+
+// @route   POST /api/advances/:id/retirement/respond
+// @desc    Answer a finance query on a retirement, optionally fixing receipts
+// @access  Private (Staff)
+router.post(
+  "/:id/retirement/respond",
+  authenticate,
+  validateRetirementResponse,
+  async (req, res) => {
+    try {
+      const { comment, receipts } = req.body;
+
+      const advance = await Advance.findOne({
+        _id: req.params.id,
+        requester: req.user.id,
+        isActive: true,
+      });
+
+      if (!advance) {
+        return res.status(404).json({
           success: false,
-          message: "Advance has already been retired",
+          message: "Cash advance request not found",
         });
       }
 
-      advance.status = "retired";
-      advance.retirement = {
-        retirementDate,
-        totalExpenses,
-        expenseBreakdown,
-        retiredAt: new Date(),
-      };
+      const before = snapshot(advance);
+      await transition(advance, "respond_retirement_query", req.user, {
+        comment: comment.trim(),
+      });
+
+      const replacedKeys = receipts ? replaceReceipts(advance, receipts) : [];
 
       await advance.save();
+      await recordAudit(req, {
+        action: "advance.respond_retirement_query",
+        targetType: "Advance",
+        targetId: advance._id,
+        before,
+        after: snapshot(advance),
+      });
+      // Answered queries go back to finance like a new submission
+      await emitAdvanceEvent("advance.retirement_submitted", {
+        advance,
+        actor: req.user,
+        comment: comment.trim(),
+      });
+
+      const storage = getStorage();
+      await Promise.all(replacedKeys.map((key) => storage.remove(key)));
 
       res.json({
         success: true,
-        message: "Cash advance retired successfully",
+        message: "Response sent to finance",
         data: { advance },
       });
     } catch (error) {
-      console.error("Retire advance error:", error);
+      if (error.name === "TransitionError") {
+        return res.status(error.status).json(error.toJSON());
+      }
+
+      console.error("Retirement response error:", error);
       res.status(500).json({
         success: false,
-        message: "Error retiring cash advance",
+        message: "Error responding to retirement query",
       });
     }
   }
@@ -193,12 +358,14 @@ router.put(
 // @access  Private (Staff)
 router.get("/staff/stats", authenticate, async (req, res) => {
   try {
-    // Use the alternative method that's more reliable
-    const stats = await CashAdvance.getUserStatsAlt(req.user.id);
+    const [stats, unreadNotifications] = await Promise.all([
+      Advance.getUserStats(req.user.id),
+      Notification.countUnread(req.user.id),
+    ]);
 
     res.json({
       success: true,
-      data: { stats },
+      data: { stats, unreadNotifications },
     });
   } catch (error) {
     console.error("Get stats error:", error);
@@ -214,10 +381,13 @@ router.get("/staff/stats", authenticate, async (req, res) => {
 // @access  Private (Staff)
 router.get("/staff/recent", authenticate, async (req, res) => {
   try {
-    const advances = await CashAdvance.find({ user: req.user.id })
+    const advances = await Advance.find({
+      requester: req.user.id,
+      isActive: true,
+    })
       .sort({ createdAt: -1 })
       .limit(5)
-      .select("amount purpose status createdAt dateNeeded")
+      .select("requestNumber amount purpose status createdAt dateNeeded")
       .lean();
 
     res.json({
@@ -238,13 +408,14 @@ router.get("/staff/recent", authenticate, async (req, res) => {
 // @access  Private (Staff)
 router.get("/staff/pending", authenticate, async (req, res) => {
   try {
-    const advances = await CashAdvance.find({
-      user: req.user.id,
+    const advances = await Advance.find({
+      requester: req.user.id,
       status: "pending",
+      isActive: true,
     })
       .sort({ createdAt: -1 })
       .limit(3)
-      .select("amount purpose createdAt dateNeeded")
+      .select("requestNumber amount purpose createdAt dateNeeded")
       .lean();
 
     res.json({
@@ -260,4 +431,219 @@ router.get("/staff/pending", authenticate, async (req, res) => {
   }
 });
 
+// Load the requester's advance and receipt line for an upload, refusing the
+// request before multer buffers any file
+const loadAttachmentTarget = async (req, res, next) => {
+  try {
+    const advance = await Advance.findOne({
+      _id: req.params.id,
+      requester: req.user.id,
+      isActive: true,
+    });
+
+    if (!advance) {
+      return res.status(404).json({
+        success: false,
+        message: "Cash advance request not found",
+      });
+    }
+
+    if (!ATTACHMENT_UPLOAD_STATUSES.includes(advance.status)) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Receipts can only be attached while the retirement is under review",
+        currentStatus: advance.status,
+      });
+    }
+
+    const receipt = advance.retirement.receipts.id(req.params.receiptId);
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: "Receipt line not found",
+      });
+    }
+
+    req.advance = advance;
+    req.receipt = receipt;
+    next();
+  } catch (error) {
+    console.error("Upload receipt error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error uploading receipt files",
+    });
+  }
+};
+
+// @route   POST /api/advances/:id/receipts/:receiptId/attachments
+// @desc    Upload receipt images/PDFs for a retirement line
+// @access  Private (Requester)
+router.post(
+  "/:id/receipts/:receiptId/attachments",
+  authenticate,
+  loadAttachmentTarget,
+  uploadReceipts,
+  async (req, res) => {
+    try {
+      const { advance, receipt } = req;
+      const storage = getStorage();
+      const before = snapshot(advance);
+      const storedKeys = [];
+
+      try {
+        for (const file of req.files) {
+          const storageKey = await storage.save({
+            buffer: file.buffer,
+            originalName: file.originalname,
+            folder: String(advance._id),
+          });
+          storedKeys.push(storageKey);
+
+          receipt.attachments.push({
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size,
+            storageKey,
+            uploadedBy: req.user.id,
+          });
+        }
+
+        await advance.save();
+      } catch (error) {
+        // The advance does not refer to the files stored so far
+        await Promise.allSettled(storedKeys.map((key) => storage.remove(key)));
+        throw error;
+      }
+      await recordAudit(req, {
+        action: "advance.attachment_upload",
+        targetType: "Advance",
+        targetId: advance._id,
+        before,
+        after: snapshot(advance),
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Receipt files uploaded successfully",
+        data: { receipt },
+      });
+    } catch (error) {
+      console.error("Upload receipt error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error uploading receipt files",
+      });
+    }
+  }
+);
+
+// @route   GET /api/advances/:id/receipts/:receiptId/attachments/:attachmentId
+// @desc    Download a receipt attachment
+// @access  Private (Requester, team manager, advance.view.all)
+router.get(
+  "/:id/receipts/:receiptId/attachments/:attachmentId",
+  authenticate,
+  async (req, res) => {
+    try {
+      const advance = await Advance.findOne({
+        _id: req.params.id,
+        isActive: true,
+      });
+
+      if (!advance || !(await canViewAdvance(req.user, advance))) {
+        return res.status(404).json({
+          success: false,
+          message: "Cash advance request not found",
+        });
+      }
+
+      const receipt = advance.retirement.receipts.id(req.params.receiptId);
+      const attachment =
+        receipt && receipt.attachments.id(req.params.attachmentId);
+
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          message: "Attachment not found",
+        });
+      }
+
+      const stream = getStorage().createReadStream(attachment.storageKey);
+
+      stream.on("error", (error) => {
+        console.error("Read attachment error:", error);
+        if (!res.headersSent) {
+          res.status(404).json({
+            success: false,
+            message: "Attachment file is missing",
+          });
+        } else {
+          res.end();
+        }
+      });
+
+      stream.once("open", () => {
+        res.attachment(attachment.originalName);
+        res.type(attachment.mimeType);
+      });
+
+      stream.pipe(res);
+    } catch (error) {
+      console.error("Download attachment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error downloading attachment",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/advances/:id
+// @desc    Permanently purge an advance and its receipt files
+// @access  Private (advance.delete)
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("advance.delete"),
+  async (req, res) => {
+    try {
+      const advance = await Advance.findById(req.params.id);
+
+      if (!advance) {
+        return res.status(404).json({
+          success: false,
+          message: "Cash advance request not found",
+        });
+      }
+
+      const storage = getStorage();
+      await Promise.all(
+        advance.getAttachmentKeys().map((key) => storage.remove(key))
+      );
+
+      await advance.deleteOne();
+      await recordAudit(req, {
+        action: "advance.purge",
+        targetType: "Advance",
+        targetId: advance._id,
+        before: snapshot(advance),
+      });
+
+      res.json({
+        success: true,
+        message: "Cash advance purged successfully",
+      });
+    } catch (error) {
+      console.error("Purge advance error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error purging cash advance",
+      });
+    }
+  }
+);
+
 module.exports = router;
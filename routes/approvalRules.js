@@ -0,0 +1,196 @@
+// routes/approvalRules.js
+const express = require("express");
+const ApprovalRule = require("../models/ApprovalRule");
+const { authenticate, requirePermission } = require("../middleware/auth");
+const { validateApprovalRule } = require("../middleware/validation");
+const { snapshot, recordAudit } = require("../services/audit");
+
+const router = express.Router();
+
+const RULE_FIELDS = ["name", "minAmount", "levels", "isActive"];
+
+// @route   GET /api/approval-rules
+// @desc    Get the delegation-of-authority matrix
+// @access  Private (approval_rule.view)
+router.get(
+  "/",
+  authenticate,
+  requirePermission("approval_rule.view"),
+  async (req, res) => {
+    try {
+      const { isActive = "all" } = req.query;
+
+      const filter = {};
+      if (isActive !== "all") {
+        filter.isActive = isActive === "true";
+      }
+
+      const rules = await ApprovalRule.find(filter).sort({ minAmount: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          rules,
+          // Chain used when no rule matches the amount
+          defaultLevels: ["manager"],
+        },
+      });
+    } catch (error) {
+      console.error("Get approval rules error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching approval rules",
+      });
+    }
+  }
+);
+
+// @route   POST /api/approval-rules
+// @desc    Add a threshold to the delegation-of-authority matrix
+// @access  Private (approval_rule.manage)
+router.post(
+  "/",
+  authenticate,
+  requirePermission("approval_rule.manage"),
+  validateApprovalRule,
+  async (req, res) => {
+    try {
+      const rule = new ApprovalRule({ createdBy: req.user.id });
+
+      RULE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          rule[field] = req.body[field];
+        }
+      });
+
+      await rule.save();
+      await recordAudit(req, {
+        action: "approval_rule.create",
+        targetType: "ApprovalRule",
+        targetId: rule._id,
+        after: snapshot(rule),
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Approval rule created successfully",
+        data: { rule },
+      });
+    } catch (error) {
+      console.error("Create approval rule error:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error creating approval rule",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/approval-rules/:id
+// @desc    Update a threshold in the delegation-of-authority matrix
+// @access  Private (approval_rule.manage)
+router.put(
+  "/:id",
+  authenticate,
+  requirePermission("approval_rule.manage"),
+  validateApprovalRule,
+  async (req, res) => {
+    try {
+      const rule = await ApprovalRule.findById(req.params.id);
+
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          message: "Approval rule not found",
+        });
+      }
+
+      const before = snapshot(rule);
+
+      RULE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          rule[field] = req.body[field];
+        }
+      });
+
+      await rule.save();
+      await recordAudit(req, {
+        action: "approval_rule.update",
+        targetType: "ApprovalRule",
+        targetId: rule._id,
+        before,
+        after: snapshot(rule),
+      });
+
+      res.json({
+        success: true,
+        message:
+          "Approval rule updated successfully. Requests already submitted keep their original approval chain.",
+        data: { rule },
+      });
+    } catch (error) {
+      console.error("Update approval rule error:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error updating approval rule",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/approval-rules/:id
+// @desc    Remove a threshold from the delegation-of-authority matrix
+// @access  Private (approval_rule.manage)
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("approval_rule.manage"),
+  async (req, res) => {
+    try {
+      const rule = await ApprovalRule.findByIdAndDelete(req.params.id);
+
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          message: "Approval rule not found",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "approval_rule.delete",
+        targetType: "ApprovalRule",
+        targetId: rule._id,
+        before: snapshot(rule),
+      });
+
+      res.json({
+        success: true,
+        message: "Approval rule deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete approval rule error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deleting approval rule",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,99 @@
+// routes/audit.js
+const express = require("express");
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const { authenticate, requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+// @route   GET /api/audit-logs
+// @desc    Query the audit trail by target, actor, action and date range
+// @access  Private (audit.view)
+router.get(
+  "/",
+  authenticate,
+  requirePermission("audit.view"),
+  async (req, res) => {
+    try {
+      const {
+        targetType,
+        targetId,
+        actor,
+        action,
+        startDate,
+        endDate,
+        page = 1,
+        limit = 20,
+      } = req.query;
+
+      const invalidId = [targetId, actor].find(
+        (id) => id && !mongoose.Types.ObjectId.isValid(id)
+      );
+
+      if (invalidId) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ID: ${invalidId}`,
+        });
+      }
+
+      // Build filter
+      const filter = {};
+
+      if (targetType && targetType !== "all") {
+        filter.targetType = targetType;
+      }
+
+      if (targetId) {
+        filter.targetId = targetId;
+      }
+
+      if (actor) {
+        filter.actor = actor;
+      }
+
+      if (action && action !== "all") {
+        filter.action = action;
+      }
+
+      if (startDate || endDate) {
+        filter.createdAt = {};
+        if (startDate) filter.createdAt.$gte = new Date(startDate);
+        if (endDate) filter.createdAt.$lte = new Date(endDate);
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const logs = await AuditLog.find(filter)
+        .populate("actor", "firstName lastName email employeeId role")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await AuditLog.countDocuments(filter);
+      const totalPages = Math.ceil(total / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          logs,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalLogs: total,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get audit logs error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching audit logs",
+      });
+    }
+  }
+);
+
+module.exports = router;
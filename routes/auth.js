@@ -1,30 +1,58 @@
 // routes/auth.js
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
-const { authenticate, isAdmin } = require("../middleware/auth");
+const Session = require("../models/Session");
+const Department = require("../models/Department");
+const {
+  authenticate,
+  authenticateForTwoFactorSetup,
+} = require("../middleware/auth");
 const {
   validateRegister,
   validateLogin,
   validatePasswordChange,
+  validateForgotPassword,
+  validateResetPassword,
 } = require("../middleware/validation");
+const { snapshot, recordAudit } = require("../services/audit");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../services/session");
+const {
+  requestPasswordReset,
+  resetPassword,
+} = require("../services/passwordReset");
+const {
+  isLocked,
+  getLockRemainingMinutes,
+  isIpBlocked,
+  recordLoginAttempt,
+  registerFailedLogin,
+  resetFailedLogins,
+} = require("../services/loginProtection");
+const {
+  getRegistrationMode,
+  checkSelfRegistration,
+  findPendingInvitation,
+} = require("../services/registration");
+const { getRolePermissions } = require("../services/permissions");
+const {
+  isTwoFactorEnabled,
+  findWithSecrets,
+  verifySecondFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+} = require("../services/twoFactor");
+const LoginHistory = require("../models/LoginHistory");
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  const secret = process.env.JWT_SECRET;
-
-  if (!secret) {
-    throw new Error("JWT_SECRET is not defined in environment variables");
-  }
-
-  return jwt.sign({ id: userId }, secret, { expiresIn: "7d" });
-};
-
 // @route   POST /api/auth/register
-// @desc    Register new user
-// @access  Public (but in real app, might be admin only)
+// @desc    Register new user, with an invitation or as self sign-up
+// @access  Public (subject to REGISTRATION_MODE)
 router.post("/register", validateRegister, async (req, res) => {
   try {
     const {
@@ -35,10 +63,46 @@ router.post("/register", validateRegister, async (req, res) => {
       employeeId,
       department,
       position,
-      role = "staff",
       phone,
+      invitationToken,
     } = req.body;
 
+    if (getRegistrationMode() === "closed") {
+      return res.status(403).json({
+        success: false,
+        message: "Registration is currently closed",
+      });
+    }
+
+    let invitation = null;
+
+    if (invitationToken) {
+      invitation = await findPendingInvitation(invitationToken);
+
+      if (!invitation) {
+        return res.status(400).json({
+          success: false,
+          message: "Invitation is invalid or has expired",
+        });
+      }
+
+      if (invitation.email !== email.toLowerCase()) {
+        return res.status(400).json({
+          success: false,
+          message: "This invitation was issued for a different email address",
+        });
+      }
+    } else {
+      const refusal = checkSelfRegistration(email);
+
+      if (refusal) {
+        return res.status(403).json({
+          success: false,
+          message: refusal,
+        });
+      }
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({
       $or: [{ email }, { employeeId }],
@@ -54,6 +118,18 @@ router.post("/register", validateRegister, async (req, res) => {
       });
     }
 
+    // Department comes from the invitation, or may be given by ID or code
+    const userDepartment = invitation
+      ? await Department.findById(invitation.department)
+      : await Department.findByIdOrCode(department);
+
+    if (!userDepartment || !userDepartment.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Department not found",
+      });
+    }
+
     // Create new user
     const user = new User({
       firstName,
@@ -61,16 +137,35 @@ router.post("/register", validateRegister, async (req, res) => {
       email,
       password,
       employeeId,
-      department,
+      department: userDepartment._id,
       position,
-      role,
+      // Self sign-up never chooses its own role
+      role: invitation ? invitation.role : "staff",
+      managerId: invitation ? invitation.managerId : null,
       phone,
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (invitation) {
+      invitation.acceptedAt = new Date();
+      invitation.acceptedUser = user._id;
+      await invitation.save();
+    }
+
+    await recordAudit(req, {
+      action: "user.register",
+      targetType: "User",
+      targetId: user._id,
+      after: snapshot(user),
+      actor: user,
+    });
+
+    // Start a session and issue its tokens
+    const { accessToken, refreshToken, expiresIn } = await createSession(
+      user,
+      req
+    );
 
     // Update last login
     user.lastLogin = new Date();
@@ -91,7 +186,9 @@ router.post("/register", validateRegister, async (req, res) => {
           role: user.role,
           phone: user.phone,
         },
-        token,
+        token: accessToken,
+        refreshToken,
+        expiresIn,
       },
     });
   } catch (error) {
@@ -114,25 +211,113 @@ router.post("/register", validateRegister, async (req, res) => {
   }
 });
 
+// Record the successful sign-in, start a session and send its tokens
+const completeLogin = async (req, res, user) => {
+  await recordLoginAttempt(req, {
+    user,
+    email: user.email,
+    success: true,
+    reason: "success",
+  });
+
+  // Start a session and issue its tokens
+  const { accessToken, refreshToken, expiresIn } = await createSession(
+    user,
+    req
+  );
+
+  // Update last login
+  user.lastLogin = new Date();
+  resetFailedLogins(user);
+  await user.save();
+
+  res.json({
+    success: true,
+    message: "Login successful",
+    data: {
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        employeeId: user.employeeId,
+        department: user.department,
+        position: user.position,
+        role: user.role,
+        phone: user.phone,
+        lastLogin: user.lastLogin,
+      },
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+    },
+  });
+};
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
 router.post("/login", validateLogin, async (req, res) => {
   try {
     const { email, password } = req.body;
+    const attempt = { email };
+
+    // Too many failures from this address, whatever the account
+    if (await isIpBlocked(req.ip)) {
+      await recordLoginAttempt(req, {
+        ...attempt,
+        success: false,
+        reason: "ip_blocked",
+      });
+
+      return res.status(429).json({
+        success: false,
+        message:
+          "Too many failed login attempts from this network. Please try again later.",
+      });
+    }
 
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select("+password");
 
     if (!user) {
+      await recordLoginAttempt(req, {
+        ...attempt,
+        success: false,
+        reason: "unknown_account",
+      });
+
       return res.status(400).json({
         success: false,
         message: "Invalid email or password",
       });
     }
 
+    attempt.user = user;
+
+    if (isLocked(user)) {
+      await recordLoginAttempt(req, {
+        ...attempt,
+        success: false,
+        reason: "locked",
+      });
+
+      return res.status(423).json({
+        success: false,
+        message: `Account is temporarily locked after too many failed attempts. Try again in ${getLockRemainingMinutes(
+          user
+        )} minute(s) or contact an administrator.`,
+      });
+    }
+
     // Check if account is active
     if (!user.isActive) {
+      await recordLoginAttempt(req, {
+        ...attempt,
+        success: false,
+        reason: "deactivated",
+      });
+
       return res.status(400).json({
         success: false,
         message: "Account has been deactivated. Please contact administrator.",
@@ -143,43 +328,177 @@ router.post("/login", validateLogin, async (req, res) => {
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
+      await recordLoginAttempt(req, {
+        ...attempt,
+        success: false,
+        reason: "invalid_credentials",
+      });
+      const updated = await registerFailedLogin(user);
+
+      if (isLocked(updated)) {
+        return res.status(423).json({
+          success: false,
+          message: `Too many failed attempts. The account is locked for ${getLockRemainingMinutes(
+            updated
+          )} minute(s).`,
+        });
+      }
+
       return res.status(400).json({
         success: false,
         message: "Invalid email or password",
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Second step still to come: hand out a challenge instead of a session
+    if (isTwoFactorEnabled(user)) {
+      return res.json({
+        success: true,
+        message: "Enter the code from your authenticator app",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user),
+        },
+      });
+    }
 
-    // Update last login
-    user.lastLogin = new Date();
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error during login",
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: verify an authenticator or recovery code
+// @access  Public (with a challenge token from POST /api/auth/login)
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Challenge token and a code or recovery code are required",
+      });
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    const user = userId ? await findWithSecrets(userId) : null;
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message:
+          "Login challenge is invalid or has expired. Please log in again.",
+      });
+    }
+
+    if (isLocked(user)) {
+      return res.status(423).json({
+        success: false,
+        message: `Account is temporarily locked after too many failed attempts. Try again in ${getLockRemainingMinutes(
+          user
+        )} minute(s) or contact an administrator.`,
+      });
+    }
+
+    const method = verifySecondFactor(user, { code, recoveryCode });
+
+    if (!method) {
+      await recordLoginAttempt(req, {
+        user,
+        email: user.email,
+        success: false,
+        reason: "invalid_two_factor",
+      });
+      // Wrong codes count towards the same lockout as wrong passwords
+      await registerFailedLogin(user);
+
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    if (method === "recovery_code") {
+      await recordAudit(req, {
+        action: "user.recovery_code_used",
+        targetType: "User",
+        targetId: user._id,
+        actor: user,
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error during login",
+    });
+  }
+});
+
+// @route   POST /api/auth/step-up
+// @desc    Re-authenticate before a sensitive action
+// @access  Private
+router.post("/step-up", authenticate, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await findWithSecrets(req.user._id);
+
+    if (isLocked(user)) {
+      return res.status(423).json({
+        success: false,
+        message: `Account is temporarily locked after too many failed attempts. Try again in ${getLockRemainingMinutes(
+          user
+        )} minute(s) or contact an administrator.`,
+      });
+    }
+
+    // Enrolled users confirm with their second factor, others with their
+    // password
+    const confirmed = isTwoFactorEnabled(user)
+      ? Boolean(verifySecondFactor(user, { code, recoveryCode }))
+      : Boolean(password) && (await user.comparePassword(password));
+
+    if (!confirmed) {
+      await recordLoginAttempt(req, {
+        user,
+        email: user.email,
+        success: false,
+        reason: "invalid_step_up",
+      });
+      // Wrong step-up codes and passwords count towards the login lockout
+      await registerFailedLogin(user);
+
+      return res.status(400).json({
+        success: false,
+        message: isTwoFactorEnabled(user)
+          ? "Invalid authentication code"
+          : "Password is incorrect",
+      });
+    }
+
+    resetFailedLogins(user);
     await user.save();
+    req.authSession.stepUpAt = new Date();
+    await req.authSession.save();
 
     res.json({
       success: true,
-      message: "Login successful",
-      data: {
-        user: {
-          id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          employeeId: user.employeeId,
-          department: user.department,
-          position: user.position,
-          role: user.role,
-          phone: user.phone,
-          lastLogin: user.lastLogin,
-        },
-        token,
-      },
+      message: "Identity confirmed",
+      data: { stepUpAt: req.authSession.stepUpAt },
     });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("Step-up error:", error);
     res.status(500).json({
       success: false,
-      message: "Error during login",
+      message: "Error confirming identity",
     });
   }
 });
@@ -187,12 +506,13 @@ router.post("/login", validateLogin, async (req, res) => {
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
-router.get("/me", authenticate, async (req, res) => {
+router.get("/me", authenticateForTwoFactorSetup, async (req, res) => {
   try {
     res.json({
       success: true,
       data: {
         user: req.user,
+        permissions: await getRolePermissions(req.user.role),
       },
     });
   } catch (error) {
@@ -204,6 +524,44 @@ router.get("/me", authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/login-history
+// @desc    Get the current user's recent sign-in attempts
+// @access  Private
+router.get("/login-history", authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const filter = { user: req.user._id };
+
+    const [history, total] = await Promise.all([
+      LoginHistory.find(filter)
+        .select("success reason ip userAgent createdAt")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      LoginHistory.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalEntries: total,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Login history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching login history",
+    });
+  }
+});
+
 // @route   POST /api/auth/change-password
 // @desc    Change user password
 // @access  Private
@@ -232,9 +590,23 @@ router.post(
       user.password = newPassword;
       await user.save();
 
+      // Sign out every other device; this one stays signed in
+      const revokedSessions = await revokeAllSessions(user._id, {
+        reason: "password_change",
+        exceptSessionId: req.sessionId,
+      });
+
+      // The password itself is never diffed, only the fact it changed
+      await recordAudit(req, {
+        action: "user.password_change",
+        targetType: "User",
+        targetId: user._id,
+      });
+
       res.json({
         success: true,
         message: "Password changed successfully",
+        data: { revokedSessions },
       });
     } catch (error) {
       console.error("Change password error:", error);
@@ -246,14 +618,228 @@ router.post(
   }
 );
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a one-time password reset link
+// @access  Public
+router.post("/forgot-password", validateForgotPassword, async (req, res) => {
+  try {
+    const email = req.body.email.trim().toLowerCase();
+    const outcome = await requestPasswordReset(email, req);
+
+    if (outcome === "rate_limited") {
+      console.warn(`Password reset rate limit reached for ${email}`);
+    }
+
+    // Same answer whether or not the account exists
+    res.json({
+      success: true,
+      message:
+        "If an account exists for that email, a password reset link has been sent.",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error requesting password reset",
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post("/reset-password", validateResetPassword, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const user = await resetPassword(token, newPassword);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Reset link is invalid or has expired",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "user.password_reset",
+      targetType: "User",
+      targetId: user._id,
+      actor: user,
+    });
+
+    res.json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password.",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error resetting password",
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
+
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message:
+          "Refresh token is invalid or has expired. Please log in again.",
+      });
+    }
+
+    const user = await User.findById(tokens.session.user);
+
+    if (!user || !user.isActive) {
+      await revokeSession(tokens.session._id, "deactivated");
+
+      return res.status(401).json({
+        success: false,
+        message: "Account has been deactivated.",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+      },
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error refreshing token",
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user by ending the current session
 // @access  Private
-router.post("/logout", authenticate, (req, res) => {
-  res.json({
-    success: true,
-    message: "Logged out successfully. Please remove token from client.",
-  });
+router.post("/logout", authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, "logout");
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error during logout",
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Logout user from every device
+// @access  Private
+router.post("/logout-all", authenticate, async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user._id, {
+      reason: "logout_all",
+    });
+
+    await recordAudit(req, {
+      action: "user.logout_all",
+      targetType: "User",
+      targetId: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      message: "Logged out of all devices successfully",
+      data: { revokedSessions },
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error logging out of all devices",
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get the current user's active sessions
+// @access  Private
+router.get("/sessions", authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id)
+      .select("ip userAgent lastUsedAt expiresAt createdAt")
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session.toObject(),
+          current: String(session._id) === String(req.sessionId),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching sessions",
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    End one of the current user's sessions
+// @access  Private
+router.delete("/sessions/:id", authenticate, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    await revokeSession(session._id, "revoked");
+
+    res.json({
+      success: true,
+      message: "Session ended successfully",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error ending session",
+    });
+  }
 });
 
 // @route   GET /api/auth/verify-token
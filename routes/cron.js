@@ -0,0 +1,94 @@
+// routes/cron.js
+//
+// Scheduled jobs for serverless deployments, where the in-process workers
+// started by server.js never run. Vercel Cron calls these (see "crons" in
+// vercel.json) with "Authorization: Bearer <CRON_SECRET>".
+const crypto = require("crypto");
+const express = require("express");
+const { processEmailQueue } = require("../services/emailQueue");
+const { runReminders } = require("../services/reminders");
+const { processWebhookQueue } = require("../services/webhooks");
+
+const router = express.Router();
+
+// Only callers holding CRON_SECRET may run jobs; without one set, none can
+const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(req.get("Authorization") || "");
+
+  if (
+    !secret ||
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid cron credentials",
+    });
+  }
+
+  next();
+};
+
+// @route   GET /api/cron/email-queue
+// @desc    Send queued emails that are due, including retries
+// @access  Cron (CRON_SECRET)
+router.get("/email-queue", authenticateCron, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await processEmailQueue(),
+    });
+  } catch (error) {
+    console.error("Email queue cron error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error processing email queue",
+    });
+  }
+});
+
+// @route   GET /api/cron/reminders
+// @desc    Send the day's retirement and approval reminders
+// @access  Cron (CRON_SECRET)
+router.get("/reminders", authenticateCron, async (req, res) => {
+  try {
+    const { due, overdueRetirements, staleApprovals } = await runReminders();
+
+    res.json({
+      success: true,
+      data: {
+        due: due.length,
+        overdueRetirements: overdueRetirements.length,
+        staleApprovals: staleApprovals.length,
+      },
+    });
+  } catch (error) {
+    console.error("Reminders cron error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error sending reminders",
+    });
+  }
+});
+
+// @route   GET /api/cron/webhook-queue
+// @desc    Retry webhook deliveries that are due
+// @access  Cron (CRON_SECRET)
+router.get("/webhook-queue", authenticateCron, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await processWebhookQueue(),
+    });
+  } catch (error) {
+    console.error("Webhook queue cron error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error processing webhook queue",
+    });
+  }
+});
+
+module.exports = router;
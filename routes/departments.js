@@ -0,0 +1,579 @@
+// routes/departments.js
+const express = require("express");
+const Department = require("../models/Department");
+const DepartmentBudget = require("../models/DepartmentBudget");
+const User = require("../models/User");
+const { authenticate, requirePermission } = require("../middleware/auth");
+const {
+  validateDepartment,
+  validateDepartmentBudget,
+} = require("../middleware/validation");
+const {
+  getConsumption,
+  describeBudget,
+} = require("../services/departmentBudget");
+const { snapshot, recordAudit } = require("../services/audit");
+
+const router = express.Router();
+
+const DEPARTMENT_FIELDS = [
+  "code",
+  "name",
+  "costCenter",
+  "head",
+  "parentDepartment",
+  "isActive",
+];
+
+const BUDGET_FIELDS = [
+  "periodStart",
+  "periodEnd",
+  "amount",
+  "enforcement",
+  "notes",
+];
+
+// Returns the reason the head/parent references cannot be used, or null
+const checkReferences = async (department) => {
+  if (department.head) {
+    const head = await User.exists({ _id: department.head, isActive: true });
+
+    if (!head) {
+      return "Department head not found or inactive";
+    }
+  }
+
+  if (department.parentDepartment) {
+    if (String(department.parentDepartment) === String(department._id)) {
+      return "A department cannot be its own parent";
+    }
+
+    const parent = await Department.exists({
+      _id: department.parentDepartment,
+    });
+
+    if (!parent) {
+      return "Parent department not found";
+    }
+
+    const descendantIds = await Department.getDescendantIds(department._id);
+
+    if (
+      descendantIds.some(
+        (id) => String(id) === String(department.parentDepartment)
+      )
+    ) {
+      return "A department cannot sit below one of its own sub-departments";
+    }
+  }
+
+  return null;
+};
+
+// @route   GET /api/departments
+// @desc    Get all departments
+// @access  Private
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const { isActive = "true", search } = req.query;
+
+    const filter = {};
+    if (isActive !== "all") {
+      filter.isActive = isActive === "true";
+    }
+    if (search) {
+      filter.$or = [
+        { code: new RegExp(search, "i") },
+        { name: new RegExp(search, "i") },
+        { costCenter: new RegExp(search, "i") },
+      ];
+    }
+
+    const departments = await Department.find(filter)
+      .populate("head", "firstName lastName email position")
+      .populate("parentDepartment", "code name")
+      .sort({ code: 1 });
+
+    res.json({
+      success: true,
+      data: { departments },
+    });
+  } catch (error) {
+    console.error("Get departments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching departments",
+    });
+  }
+});
+
+// @route   GET /api/departments/:id
+// @desc    Get a single department with its sub-departments and headcount
+// @access  Private
+router.get("/:id", authenticate, async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id)
+      .populate("head", "firstName lastName email position")
+      .populate("parentDepartment", "code name");
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: "Department not found",
+      });
+    }
+
+    const [subDepartments, headcount] = await Promise.all([
+      Department.find({ parentDepartment: department._id })
+        .select("code name costCenter isActive")
+        .sort({ code: 1 }),
+      User.countDocuments({ department: department._id, isActive: true }),
+    ]);
+
+    res.json({
+      success: true,
+      data: { department, subDepartments, headcount },
+    });
+  } catch (error) {
+    console.error("Get department error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching department",
+    });
+  }
+});
+
+// @route   POST /api/departments
+// @desc    Create a department
+// @access  Private (department.manage)
+router.post(
+  "/",
+  authenticate,
+  requirePermission("department.manage"),
+  validateDepartment,
+  async (req, res) => {
+    try {
+      const department = new Department({ createdBy: req.user.id });
+
+      DEPARTMENT_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          department[field] = req.body[field];
+        }
+      });
+
+      const referenceError = await checkReferences(department);
+      if (referenceError) {
+        return res.status(400).json({
+          success: false,
+          message: referenceError,
+        });
+      }
+
+      await department.save();
+      await recordAudit(req, {
+        action: "department.create",
+        targetType: "Department",
+        targetId: department._id,
+        after: snapshot(department),
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Department created successfully",
+        data: { department },
+      });
+    } catch (error) {
+      console.error("Create department error:", error);
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: "Department code already exists",
+        });
+      }
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error creating department",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/departments/:id
+// @desc    Update a department
+// @access  Private (department.manage)
+router.put(
+  "/:id",
+  authenticate,
+  requirePermission("department.manage"),
+  validateDepartment,
+  async (req, res) => {
+    try {
+      const department = await Department.findById(req.params.id);
+
+      if (!department) {
+        return res.status(404).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+
+      const before = snapshot(department);
+
+      DEPARTMENT_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          department[field] = req.body[field];
+        }
+      });
+      department.updatedBy = req.user.id;
+
+      const referenceError = await checkReferences(department);
+      if (referenceError) {
+        return res.status(400).json({
+          success: false,
+          message: referenceError,
+        });
+      }
+
+      await department.save();
+      await recordAudit(req, {
+        action: "department.update",
+        targetType: "Department",
+        targetId: department._id,
+        before,
+        after: snapshot(department),
+      });
+
+      res.json({
+        success: true,
+        message: "Department updated successfully",
+        data: { department },
+      });
+    } catch (error) {
+      console.error("Update department error:", error);
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: "Department code already exists",
+        });
+      }
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error updating department",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/departments/:id
+// @desc    Delete a department that nothing refers to any more
+// @access  Private (department.manage)
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("department.manage"),
+  async (req, res) => {
+    try {
+      const department = await Department.findById(req.params.id);
+
+      if (!department) {
+        return res.status(404).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+
+      const [hasUsers, hasSubDepartments, hasBudgets] = await Promise.all([
+        User.exists({ department: department._id }),
+        Department.exists({ parentDepartment: department._id }),
+        DepartmentBudget.exists({ department: department._id }),
+      ]);
+
+      if (hasUsers || hasSubDepartments || hasBudgets) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Department still has users, sub-departments or budgets. Reassign them or deactivate the department instead.",
+        });
+      }
+
+      await department.deleteOne();
+      await recordAudit(req, {
+        action: "department.delete",
+        targetType: "Department",
+        targetId: department._id,
+        before: snapshot(department),
+      });
+
+      res.json({
+        success: true,
+        message: "Department deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete department error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deleting department",
+      });
+    }
+  }
+);
+
+// @route   GET /api/departments/:id/budgets
+// @desc    Get a department's advance budgets with their consumption
+// @access  Private (budget.view)
+router.get(
+  "/:id/budgets",
+  authenticate,
+  requirePermission("budget.view"),
+  async (req, res) => {
+    try {
+      const department = await Department.findById(req.params.id);
+
+      if (!department) {
+        return res.status(404).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+
+      const budgets = await DepartmentBudget.find({
+        department: department._id,
+      }).sort({ periodStart: -1 });
+
+      const budgetsWithConsumption = await Promise.all(
+        budgets.map(async (budget) => ({
+          ...budget.toObject(),
+          consumption: describeBudget(budget, await getConsumption(budget)),
+        }))
+      );
+
+      res.json({
+        success: true,
+        data: { department, budgets: budgetsWithConsumption },
+      });
+    } catch (error) {
+      console.error("Get department budgets error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching department budgets",
+      });
+    }
+  }
+);
+
+// @route   POST /api/departments/:id/budgets
+// @desc    Set a department's advance budget for a period
+// @access  Private (budget.manage)
+router.post(
+  "/:id/budgets",
+  authenticate,
+  requirePermission("budget.manage"),
+  validateDepartmentBudget,
+  async (req, res) => {
+    try {
+      const department = await Department.findById(req.params.id);
+
+      if (!department) {
+        return res.status(404).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+
+      const budget = new DepartmentBudget({
+        department: department._id,
+        createdBy: req.user.id,
+      });
+
+      BUDGET_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          budget[field] = req.body[field];
+        }
+      });
+
+      const overlapping = await DepartmentBudget.findOverlapping(
+        department._id,
+        budget.periodStart,
+        budget.periodEnd
+      );
+
+      if (overlapping) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "The department already has a budget covering part of this period",
+          data: { budget: overlapping },
+        });
+      }
+
+      await budget.save();
+      await recordAudit(req, {
+        action: "department_budget.create",
+        targetType: "DepartmentBudget",
+        targetId: budget._id,
+        after: snapshot(budget),
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Department budget created successfully",
+        data: { budget },
+      });
+    } catch (error) {
+      console.error("Create department budget error:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error creating department budget",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/departments/:id/budgets/:budgetId
+// @desc    Update a department's advance budget
+// @access  Private (budget.manage)
+router.put(
+  "/:id/budgets/:budgetId",
+  authenticate,
+  requirePermission("budget.manage"),
+  validateDepartmentBudget,
+  async (req, res) => {
+    try {
+      const budget = await DepartmentBudget.findOne({
+        _id: req.params.budgetId,
+        department: req.params.id,
+      });
+
+      if (!budget) {
+        return res.status(404).json({
+          success: false,
+          message: "Department budget not found",
+        });
+      }
+
+      const before = snapshot(budget);
+
+      BUDGET_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          budget[field] = req.body[field];
+        }
+      });
+      budget.updatedBy = req.user.id;
+
+      const overlapping = await DepartmentBudget.findOverlapping(
+        budget.department,
+        budget.periodStart,
+        budget.periodEnd,
+        budget._id
+      );
+
+      if (overlapping) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "The department already has a budget covering part of this period",
+          data: { budget: overlapping },
+        });
+      }
+
+      await budget.save();
+      await recordAudit(req, {
+        action: "department_budget.update",
+        targetType: "DepartmentBudget",
+        targetId: budget._id,
+        before,
+        after: snapshot(budget),
+      });
+
+      res.json({
+        success: true,
+        message: "Department budget updated successfully",
+        data: { budget },
+      });
+    } catch (error) {
+      console.error("Update department budget error:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error updating department budget",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/departments/:id/budgets/:budgetId
+// @desc    Delete a department's advance budget
+// @access  Private (budget.manage)
+router.delete(
+  "/:id/budgets/:budgetId",
+  authenticate,
+  requirePermission("budget.manage"),
+  async (req, res) => {
+    try {
+      const budget = await DepartmentBudget.findOneAndDelete({
+        _id: req.params.budgetId,
+        department: req.params.id,
+      });
+
+      if (!budget) {
+        return res.status(404).json({
+          success: false,
+          message: "Department budget not found",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "department_budget.delete",
+        targetType: "DepartmentBudget",
+        targetId: budget._id,
+        before: snapshot(budget),
+      });
+
+      res.json({
+        success: true,
+        message: "Department budget deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete department budget error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deleting department budget",
+      });
+    }
+  }
+);
+
+module.exports = router;
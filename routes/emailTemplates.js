@@ -0,0 +1,225 @@
+// routes/emailTemplates.js
+const express = require("express");
+const EmailTemplate = require("../models/EmailTemplate");
+const { authenticate, requirePermission } = require("../middleware/auth");
+const { validateEmailTemplate } = require("../middleware/validation");
+const { snapshot, recordAudit } = require("../services/audit");
+const {
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  findUnknownPlaceholders,
+  renderTemplate,
+} = require("../services/emailTemplates");
+
+const router = express.Router();
+
+// Sample values for previews
+const SAMPLE_VARIABLES = {
+  recipientName: "Ada",
+  requesterName: "Ada Lovelace",
+  requestNumber: "ADV2410001",
+  amount: 250,
+  purpose: "Conference travel",
+  status: "pending",
+  actorName: "Charles Babbage",
+  level: "manager",
+  comment: "Please attach the hotel invoice",
+  dueDate: "2024-10-31",
+  link: `${process.env.CLIENT_URL || "http://localhost:5173"}/advances/sample`,
+};
+
+// Rejects unknown template types with a 404 and any placeholders that
+// would never be filled with a 400. Returns false when a response was sent.
+const checkTemplateRequest = (req, res) => {
+  if (!DEFAULT_TEMPLATES[req.params.type]) {
+    res.status(404).json({
+      success: false,
+      message: "Email template not found",
+    });
+    return false;
+  }
+
+  if (req.body.subject === undefined) {
+    return true;
+  }
+
+  const unknown = findUnknownPlaceholders(
+    `${req.body.subject}\n${req.body.body}`
+  );
+
+  if (unknown.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown placeholders: ${unknown.join(", ")}`,
+      placeholders: Object.keys(PLACEHOLDERS),
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// @route   GET /api/email-templates
+// @desc    Get every notification email template and the placeholders
+// @access  Private (email_template.manage)
+router.get(
+  "/",
+  authenticate,
+  requirePermission("email_template.manage"),
+  async (req, res) => {
+    try {
+      const stored = await EmailTemplate.find().populate(
+        "updatedBy",
+        "firstName lastName"
+      );
+
+      const templates = Object.entries(DEFAULT_TEMPLATES).map(
+        ([type, defaults]) => {
+          const template = stored.find((entry) => entry.type === type);
+
+          return {
+            type,
+            subject: template ? template.subject : defaults.subject,
+            body: template ? template.body : defaults.body,
+            isDefault: !template,
+            updatedBy: template ? template.updatedBy : null,
+            updatedAt: template ? template.updatedAt : null,
+          };
+        }
+      );
+
+      res.json({
+        success: true,
+        data: { templates, placeholders: PLACEHOLDERS },
+      });
+    } catch (error) {
+      console.error("Get email templates error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching email templates",
+      });
+    }
+  }
+);
+
+// @route   POST /api/email-templates/:type/preview
+// @desc    Render a template with sample values without saving it
+// @access  Private (email_template.manage)
+router.post(
+  "/:type/preview",
+  authenticate,
+  requirePermission("email_template.manage"),
+  validateEmailTemplate,
+  async (req, res) => {
+    try {
+      if (!checkTemplateRequest(req, res)) return;
+
+      res.json({
+        success: true,
+        data: {
+          subject: renderTemplate(req.body.subject, SAMPLE_VARIABLES),
+          text: renderTemplate(req.body.body, SAMPLE_VARIABLES),
+        },
+      });
+    } catch (error) {
+      console.error("Preview email template error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error previewing email template",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/email-templates/:type
+// @desc    Replace the subject and body of a notification email
+// @access  Private (email_template.manage)
+router.put(
+  "/:type",
+  authenticate,
+  requirePermission("email_template.manage"),
+  validateEmailTemplate,
+  async (req, res) => {
+    try {
+      if (!checkTemplateRequest(req, res)) return;
+
+      const { type } = req.params;
+      const template =
+        (await EmailTemplate.findOne({ type })) ||
+        new EmailTemplate({ type, ...DEFAULT_TEMPLATES[type] });
+      const before = snapshot(template);
+
+      template.subject = req.body.subject;
+      template.body = req.body.body;
+      template.updatedBy = req.user.id;
+      await template.save();
+
+      await recordAudit(req, {
+        action: "email_template.update",
+        targetType: "EmailTemplate",
+        targetId: template._id,
+        before,
+        after: snapshot(template),
+      });
+
+      res.json({
+        success: true,
+        message: "Email template updated successfully",
+        data: { template },
+      });
+    } catch (error) {
+      console.error("Update email template error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating email template",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/email-templates/:type
+// @desc    Go back to the default subject and body
+// @access  Private (email_template.manage)
+router.delete(
+  "/:type",
+  authenticate,
+  requirePermission("email_template.manage"),
+  async (req, res) => {
+    try {
+      if (!checkTemplateRequest(req, res)) return;
+
+      const template = await EmailTemplate.findOneAndDelete({
+        type: req.params.type,
+      });
+
+      if (!template) {
+        return res.status(400).json({
+          success: false,
+          message: "This email already uses the default template",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "email_template.reset",
+        targetType: "EmailTemplate",
+        targetId: template._id,
+        before: snapshot(template),
+        after: { type: template.type, ...DEFAULT_TEMPLATES[template.type] },
+      });
+
+      res.json({
+        success: true,
+        message: "Email template reset to the default",
+        data: { template: DEFAULT_TEMPLATES[template.type] },
+      });
+    } catch (error) {
+      console.error("Reset email template error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error resetting email template",
+      });
+    }
+  }
+);
+
+module.exports = router;
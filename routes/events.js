@@ -0,0 +1,23 @@
+// routes/events.js
+const express = require("express");
+const { authenticateStream } = require("../middleware/auth");
+const { openStream } = require("../services/realtime");
+
+const router = express.Router();
+
+// @route   GET /api/events/stream
+// @desc    Stream advance workflow events in the user's scope (SSE)
+// @access  Private (Bearer token, or ?access_token= for EventSource)
+router.get("/stream", authenticateStream, (req, res) => {
+  try {
+    openStream(req, res);
+  } catch (error) {
+    console.error("Event stream error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error opening event stream",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,602 @@
+// routes/finance.js
+const express = require("express");
+const Advance = require("../models/Advance");
+const {
+  authenticate,
+  requirePermission,
+  requireStepUp,
+} = require("../middleware/auth");
+const {
+  validateDisbursement,
+  validateRetirementReview,
+  validateApprovalDecision,
+  validateRejection,
+} = require("../middleware/validation");
+const { transition } = require("../services/advanceWorkflow");
+const { snapshot, recordAudit } = require("../services/audit");
+const { emitAdvanceEvent } = require("../services/advanceEvents");
+
+const router = express.Router();
+
+// @route   GET /api/finance/queue
+// @desc    Get manager-approved requests awaiting finance action
+// @access  Private (finance.review)
+router.get(
+  "/queue",
+  authenticate,
+  requirePermission("finance.review"),
+  async (req, res) => {
+    try {
+      const {
+        stage = "approval",
+        page = 1,
+        limit = 10,
+        search = "",
+      } = req.query;
+
+      // "approval" = waiting on finance sign-off, "disbursement" = ready to pay
+      const statusByStage = {
+        approval: "manager_approved",
+        disbursement: "finance_approved",
+      };
+
+      if (!statusByStage[stage]) {
+        return res.status(400).json({
+          success: false,
+          message: "Stage must be either 'approval' or 'disbursement'",
+        });
+      }
+
+      const filter = { status: statusByStage[stage], isActive: true };
+
+      if (search) {
+        filter.$or = [
+          { purpose: { $regex: search, $options: "i" } },
+          { description: { $regex: search, $options: "i" } },
+        ];
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const requests = await Advance.find(filter)
+        .populate(
+          "requester",
+          "firstName lastName employeeId position department"
+        )
+        .populate("approvals.approver", "firstName lastName role")
+        .sort({ requestDate: 1 }) // Oldest first
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Advance.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: {
+          requests,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalRequests: total,
+            hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+            hasPrev: parseInt(page) > 1,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Finance queue error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching finance queue",
+      });
+    }
+  }
+);
+
+// @route   GET /api/finance/requests/:id
+// @desc    Get detailed view of a request for finance review
+// @access  Private (finance.review)
+router.get(
+  "/requests/:id",
+  authenticate,
+  requirePermission("finance.review"),
+  async (req, res) => {
+    try {
+      const request = await Advance.findOne({
+        _id: req.params.id,
+        isActive: true,
+      })
+        .populate(
+          "requester",
+          "firstName lastName email employeeId position department phone"
+        )
+        .populate("approvals.approver", "firstName lastName role")
+        .populate("approvals.onBehalfOf", "firstName lastName role")
+        .populate("disbursement.disbursedBy", "firstName lastName")
+        .populate("retirement.reviewThread.author", "firstName lastName role");
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: "Request not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { request },
+      });
+    } catch (error) {
+      console.error("Finance request detail error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching request details",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/finance/requests/:id/approve
+// @desc    Give finance approval to a manager-approved request
+// @access  Private (finance.review)
+router.put(
+  "/requests/:id/approve",
+  authenticate,
+  requirePermission("finance.review"),
+  validateApprovalDecision,
+  async (req, res) => {
+    try {
+      const { comment } = req.body;
+
+      const advance = await Advance.findOne({
+        _id: req.params.id,
+        isActive: true,
+      });
+
+      if (!advance) {
+        return res.status(404).json({
+          success: false,
+          message: "Request not found",
+        });
+      }
+
+      const before = snapshot(advance);
+      await transition(advance, "finance_approve", req.user, {
+        comment: comment ? comment.trim() : "",
+      });
+
+      await advance.save();
+      await recordAudit(req, {
+        action: "advance.finance_approve",
+        targetType: "Advance",
+        targetId: advance._id,
+        before,
+        after: snapshot(advance),
+      });
+      await emitAdvanceEvent("advance.approved", { advance, actor: req.user });
+      await advance.populate(
+        "requester",
+        "firstName lastName email employeeId department"
+      );
+      await advance.populate("approvals.approver", "firstName lastName role");
+
+      res.json({
+        success: true,
+        message: "Request approved by finance successfully",
+        data: { advance },
+      });
+    } catch (error) {
+      if (error.name === "TransitionError") {
+        return res.status(error.status).json(error.toJSON());
+      }
+
+      console.error("Finance approve error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error approving request",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/finance/requests/:id/reject
+// @desc    Reject a manager-approved request at the finance stage
+// @access  Private (finance.review)
+router.put(
+  "/requests/:id/reject",
+  authenticate,
+  requirePermission("finance.review"),
+  validateRejection,
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      if (!reason || reason.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Rejection reason is required",
+        });
+      }
+
+      const advance = await Advance.findOne({
+        _id: req.params.id,
+        isActive: true,
+      });
+
+      if (!advance) {
+        return res.status(404).json({
+          success: false,
+          message: "Request not found",
+        });
+      }
+
+      const before = snapshot(advance);
+      await transition(advance, "finance_reject", req.user, {
+        comment: reason.trim(),
+      });
+
+      await advance.save();
+      await recordAudit(req, {
+        action: "advance.finance_reject",
+        targetType: "Advance",
+        targetId: advance._id,
+        before,
+        after: snapshot(advance),
+      });
+      await emitAdvanceEvent("advance.rejected", {
+        advance,
+        actor: req.user,
+        comment: reason.trim(),
+      });
+      await advance.populate(
+        "requester",
+        "firstName lastName email employeeId department"
+      );
+      await advance.populate("approvals.approver", "firstName lastName role");
+
+      res.json({
+        success: true,
+        message: "Request rejected successfully",
+        data: { advance },
+      });
+    } catch (error) {
+      if (error.name === "TransitionError") {
+        return res.status(error.status).json(error.toJSON());
+      }
+
+      console.error("Finance reject error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error rejecting request",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/finance/requests/:id/disburse
+// @desc    Record disbursement of a finance-approved request
+// @access  Private (advance.disburse, recently re-authenticated)
+router.put(
+  "/requests/:id/disburse",
+  authenticate,
+  requirePermission("advance.disburse"),
+  requireStepUp,
+  validateDisbursement,
+  async (req, res) => {
+    try {
+      const { method, reference, disbursedAmount } = req.body;
+
+      const advance = await Advance.findOne({
+        _id: req.params.id,
+        isActive: true,
+      });
+
+      if (!advance) {
+        return res.status(404).json({
+          success: false,
+          message: "Request not found",
+        });
+      }
+
+      const before = snapshot(advance);
+      await transition(advance, "disburse", req.user);
+
+      if (disbursedAmount > advance.amount) {
+        return res.status(400).json({
+          success: false,
+          message: "Disbursed amount cannot exceed the approved amount",
+        });
+      }
+
+      advance.disbursement = {
+        disbursedBy: req.user.id,
+        disbursedDate: new Date(),
+        disbursedAmount,
+        method,
+        reference: reference || undefined,
+      };
+
+      await advance.save();
+      await recordAudit(req, {
+        action: "advance.disburse",
+        targetType: "Advance",
+        targetId: advance._id,
+        before,
+        after: snapshot(advance),
+      });
+      await emitAdvanceEvent("advance.disbursed", { advance, actor: req.user });
+      await advance.populate(
+        "requester",
+        "firstName lastName email employeeId department"
+      );
+      await advance.populate("disbursement.disbursedBy", "firstName lastName");
+
+      res.json({
+        success: true,
+        message: "Disbursement recorded successfully",
+        data: { advance },
+      });
+    } catch (error) {
+      if (error.name === "TransitionError") {
+        return res.status(error.status).json(error.toJSON());
+      }
+
+      console.error("Disburse request error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error recording disbursement",
+      });
+    }
+  }
+);
+
+// @route   GET /api/finance/retirements
+// @desc    Get retirements awaiting finance verification
+// @access  Private (retirement.review)
+router.get(
+  "/retirements",
+  authenticate,
+  requirePermission("retirement.review"),
+  async (req, res) => {
+    try {
+      const { status = "submitted", page = 1, limit = 10 } = req.query;
+
+      // "submitted" = waiting on finance, "queried" = waiting on the employee
+      const statusByFilter = {
+        submitted: ["retirement_submitted"],
+        queried: ["retirement_queried"],
+        all: ["retirement_submitted", "retirement_queried"],
+      };
+
+      if (!statusByFilter[status]) {
+        return res.status(400).json({
+          success: false,
+          message: "Status must be 'submitted', 'queried' or 'all'",
+        });
+      }
+
+      const filter = {
+        status: { $in: statusByFilter[status] },
+        isActive: true,
+      };
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const retirements = await Advance.find(filter)
+        .populate(
+          "requester",
+          "firstName lastName employeeId position department"
+        )
+        .populate("disbursement.disbursedBy", "firstName lastName")
+        .sort({ "retirement.submittedDate": 1 }) // Oldest first
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Advance.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: {
+          retirements,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalRetirements: total,
+            hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+            hasPrev: parseInt(page) > 1,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Retirement queue error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching retirements",
+      });
+    }
+  }
+);
+
+// Finance review actions on a submitted retirement. Querying and rejecting
+// need a comment so the employee knows what to fix.
+const reviewActions = {
+  query: {
+    action: "query_retirement",
+    event: "advance.retirement_queried",
+    commentRequired: true,
+    message: "Retirement queried. The employee has been asked to respond",
+  },
+  approve: {
+    action: "approve_retirement",
+    event: "advance.retirement_verified",
+    commentRequired: false,
+    message: "Retirement verified and advance closed",
+  },
+  reject: {
+    action: "reject_retirement",
+    event: "advance.retirement_rejected",
+    commentRequired: true,
+    message: "Retirement rejected and returned to the employee",
+  },
+};
+
+// @route   PUT /api/finance/retirements/:id/:decision
+// @desc    Query, approve or reject a submitted retirement
+// @access  Private (retirement.review)
+router.put(
+  "/retirements/:id/:decision(query|approve|reject)",
+  authenticate,
+  requirePermission("retirement.review"),
+  validateRetirementReview,
+  async (req, res) => {
+    try {
+      const { comment = "" } = req.body;
+      const review = reviewActions[req.params.decision];
+
+      if (review.commentRequired && comment.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "A comment is required",
+        });
+      }
+
+      const advance = await Advance.findOne({
+        _id: req.params.id,
+        isActive: true,
+      });
+
+      if (!advance) {
+        return res.status(404).json({
+          success: false,
+          message: "Request not found",
+        });
+      }
+
+      const before = snapshot(advance);
+      await transition(advance, review.action, req.user, {
+        comment: comment.trim(),
+      });
+
+      if (review.action === "approve_retirement") {
+        advance.retirement.verifiedBy = req.user.id;
+        advance.retirement.verifiedDate = new Date();
+      }
+
+      await advance.save();
+      await recordAudit(req, {
+        action: `advance.${review.action}`,
+        targetType: "Advance",
+        targetId: advance._id,
+        before,
+        after: snapshot(advance),
+      });
+      await emitAdvanceEvent(review.event, {
+        advance,
+        actor: req.user,
+        comment: comment.trim(),
+      });
+      await advance.populate(
+        "requester",
+        "firstName lastName email employeeId department"
+      );
+      await advance.populate(
+        "retirement.reviewThread.author",
+        "firstName lastName role"
+      );
+
+      res.json({
+        success: true,
+        message: review.message,
+        data: { advance },
+      });
+    } catch (error) {
+      if (error.name === "TransitionError") {
+        return res.status(error.status).json(error.toJSON());
+      }
+
+      console.error("Retirement review error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error reviewing retirement",
+      });
+    }
+  }
+);
+
+// @route   GET /api/finance/disbursements
+// @desc    Get disbursement history with totals
+// @access  Private (advance.disburse)
+router.get(
+  "/disbursements",
+  authenticate,
+  requirePermission("advance.disburse"),
+  async (req, res) => {
+    try {
+      const { startDate, endDate, method, page = 1, limit = 10 } = req.query;
+
+      const filter = {
+        "disbursement.disbursedDate": { $exists: true },
+        isActive: true,
+      };
+
+      if (startDate || endDate) {
+        filter["disbursement.disbursedDate"] = {};
+        if (startDate) {
+          filter["disbursement.disbursedDate"].$gte = new Date(startDate);
+        }
+        if (endDate) {
+          filter["disbursement.disbursedDate"].$lte = new Date(endDate);
+        }
+      }
+
+      if (method && method !== "all") {
+        filter["disbursement.method"] = method;
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const disbursements = await Advance.find(filter)
+        .populate("requester", "firstName lastName employeeId department")
+        .populate("disbursement.disbursedBy", "firstName lastName")
+        .sort({ "disbursement.disbursedDate": -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Advance.countDocuments(filter);
+
+      const totals = await Advance.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: "$disbursement.method",
+            count: { $sum: 1 },
+            totalAmount: { $sum: "$disbursement.disbursedAmount" },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          disbursements,
+          totals,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalDisbursements: total,
+            hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+            hasPrev: parseInt(page) > 1,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Disbursement history error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching disbursements",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,293 @@
+// routes/invitations.js
+const express = require("express");
+const Invitation = require("../models/Invitation");
+const Department = require("../models/Department");
+const User = require("../models/User");
+const { authenticate, requirePermission } = require("../middleware/auth");
+const { validateInvitation } = require("../middleware/validation");
+const { snapshot, recordAudit } = require("../services/audit");
+const {
+  sendInvitation,
+  findPendingInvitation,
+} = require("../services/registration");
+
+const router = express.Router();
+
+// @route   GET /api/invitations/lookup
+// @desc    Get the details of an invitation for the registration form
+// @access  Public (with an invitation token)
+router.get("/lookup", async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    const invitation = token
+      ? await findPendingInvitation(token).populate("department", "code name")
+      : null;
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation is invalid or has expired",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        department: invitation.department,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Invitation lookup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invitation",
+    });
+  }
+});
+
+// @route   GET /api/invitations
+// @desc    Get invitations
+// @access  Private (user.invite)
+router.get(
+  "/",
+  authenticate,
+  requirePermission("user.invite"),
+  async (req, res) => {
+    try {
+      const { status = "all", page = 1, limit = 20 } = req.query;
+      const now = new Date();
+
+      const filter = {};
+      if (status === "pending") {
+        Object.assign(filter, {
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: now },
+        });
+      } else if (status === "accepted") {
+        filter.acceptedAt = { $ne: null };
+      } else if (status === "revoked") {
+        filter.revokedAt = { $ne: null };
+      } else if (status === "expired") {
+        Object.assign(filter, {
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { $lte: now },
+        });
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [invitations, total] = await Promise.all([
+        Invitation.find(filter)
+          .populate("department", "code name")
+          .populate("invitedBy", "firstName lastName")
+          .populate("acceptedUser", "firstName lastName employeeId")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Invitation.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          invitations,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalInvitations: total,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get invitations error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching invitations",
+      });
+    }
+  }
+);
+
+// @route   POST /api/invitations
+// @desc    Invite someone to register with a given role and department
+// @access  Private (user.invite)
+router.post(
+  "/",
+  authenticate,
+  requirePermission("user.invite"),
+  validateInvitation,
+  async (req, res) => {
+    try {
+      const { email, role = "staff", department, managerId } = req.body;
+      const normalizedEmail = email.trim().toLowerCase();
+
+      if (await User.exists({ email: normalizedEmail })) {
+        return res.status(400).json({
+          success: false,
+          message: "User with this email already exists",
+        });
+      }
+
+      const invitationDepartment = await Department.findByIdOrCode(department);
+
+      if (!invitationDepartment || !invitationDepartment.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+
+      if (
+        managerId &&
+        !(await User.exists({ _id: managerId, isActive: true }))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Manager not found or inactive",
+        });
+      }
+
+      // A new invitation replaces any still-pending one for the address
+      await Invitation.updateMany(
+        { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+
+      const invitation = await sendInvitation(
+        new Invitation({
+          email: normalizedEmail,
+          role,
+          department: invitationDepartment._id,
+          managerId,
+          invitedBy: req.user.id,
+        }),
+        req.user
+      );
+
+      await recordAudit(req, {
+        action: "invitation.create",
+        targetType: "Invitation",
+        targetId: invitation._id,
+        after: snapshot(invitation),
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${invitation.email}`,
+        data: { invitation },
+      });
+    } catch (error) {
+      console.error("Create invitation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error creating invitation",
+      });
+    }
+  }
+);
+
+// @route   POST /api/invitations/:id/resend
+// @desc    Send a pending or expired invitation again with a fresh link
+// @access  Private (user.invite)
+router.post(
+  "/:id/resend",
+  authenticate,
+  requirePermission("user.invite"),
+  async (req, res) => {
+    try {
+      const invitation = await Invitation.findById(req.params.id);
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: "Invitation not found",
+        });
+      }
+
+      if (invitation.acceptedAt || invitation.revokedAt) {
+        return res.status(400).json({
+          success: false,
+          message: `Invitation has already been ${invitation.status}`,
+        });
+      }
+
+      await sendInvitation(invitation, req.user);
+      await recordAudit(req, {
+        action: "invitation.resend",
+        targetType: "Invitation",
+        targetId: invitation._id,
+      });
+
+      res.json({
+        success: true,
+        message: `Invitation resent to ${invitation.email}`,
+        data: { invitation },
+      });
+    } catch (error) {
+      console.error("Resend invitation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error resending invitation",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revoke an invitation that has not been used yet
+// @access  Private (user.invite)
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("user.invite"),
+  async (req, res) => {
+    try {
+      const invitation = await Invitation.findById(req.params.id);
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: "Invitation not found",
+        });
+      }
+
+      if (invitation.acceptedAt || invitation.revokedAt) {
+        return res.status(400).json({
+          success: false,
+          message: `Invitation has already been ${invitation.status}`,
+        });
+      }
+
+      const before = snapshot(invitation);
+      invitation.revokedAt = new Date();
+      await invitation.save();
+
+      await recordAudit(req, {
+        action: "invitation.revoke",
+        targetType: "Invitation",
+        targetId: invitation._id,
+        before,
+        after: snapshot(invitation),
+      });
+
+      res.json({
+        success: true,
+        message: "Invitation revoked successfully",
+      });
+    } catch (error) {
+      console.error("Revoke invitation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error revoking invitation",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,42 +1,99 @@
-// routes/manager.js - FIXED VERSION
+// routes/manager.js
+//
+// A manager's team is everyone reporting to them through User.managerId,
+// including indirect reports (see services/orgHierarchy).
 const express = require("express");
-const CashAdvance = require("../models/CashAdvance");
+const mongoose = require("mongoose");
+const Advance = require("../models/Advance");
 const User = require("../models/User");
-const { authenticate, authorize } = require("../middleware/auth");
+const Delegation = require("../models/Delegation");
+const DepartmentBudget = require("../models/DepartmentBudget");
+const Notification = require("../models/Notification");
+const { authenticate, requirePermission } = require("../middleware/auth");
+const {
+  validateDelegation,
+  validateApprovalDecision,
+  validateRejection,
+} = require("../middleware/validation");
+const {
+  transition,
+  getApprovalAction,
+} = require("../services/advanceWorkflow");
+const {
+  getApprovalLevels,
+  getActingPrincipals,
+  buildPendingApprovalFilter,
+  isInApprovalScope,
+  resolveApprovalPrincipal,
+} = require("../services/approvalAuthority");
+const {
+  getReports,
+  getTeamMemberIds,
+  isInTeam,
+} = require("../services/orgHierarchy");
+const {
+  getConsumption,
+  describeBudget,
+  checkAdvanceAgainstBudget,
+} = require("../services/departmentBudget");
+const { snapshot, recordAudit } = require("../services/audit");
+const { emitAdvanceEvent } = require("../services/advanceEvents");
+const { hasPermission } = require("../services/permissions");
 
 const router = express.Router();
 
+// Statuses a request can be in once the manager has signed it off
+const APPROVED_STATUSES = [
+  "manager_approved",
+  "finance_approved",
+  "disbursed",
+  "retirement_submitted",
+  "retirement_queried",
+  "retired",
+];
+
+// The absent approver a delegate is deciding for, or undefined when the user
+// is deciding on their own authority
+const getOnBehalfOf = async (user, advance) => {
+  const principal = await resolveApprovalPrincipal(user, advance);
+
+  return principal && String(principal._id) !== String(user._id)
+    ? principal
+    : undefined;
+};
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
 // @route   GET /api/manager/dashboard
 // @desc    Get manager dashboard overview with enhanced team member data
-// @access  Private (Manager)
+// @access  Private (advance.view.team)
 router.get(
   "/dashboard",
   authenticate,
-  authorize("manager"),
+  requirePermission("advance.view.team"),
   async (req, res) => {
     try {
-      const manager = await User.findById(req.user.id);
-
       // Get team member IDs for filtering
-      const teamMembers = await User.find({
-        department: manager.department,
-        role: "staff",
-        isActive: true,
-      }).select("_id");
+      const teamMemberIds = await getTeamMemberIds(req.user);
 
-      const teamMemberIds = teamMembers.map((member) => member._id);
+      // Requests waiting on this manager's approval level(s)
+      const approvalFilter = (await buildPendingApprovalFilter(req.user)) || {
+        _id: null,
+      };
 
       // Get pending approvals count
-      const pendingApprovalsCount = await CashAdvance.countDocuments({
-        status: "pending",
-        user: { $in: teamMemberIds },
-      });
+      const pendingApprovalsCount = await Advance.countDocuments(
+        approvalFilter
+      );
+
+      const unreadNotifications = await Notification.countUnread(req.user.id);
 
       // Get team requests stats using aggregation
-      const teamStats = await CashAdvance.aggregate([
+      const teamStats = await Advance.aggregate([
         {
           $match: {
-            user: { $in: teamMemberIds },
+            requester: { $in: teamMemberIds },
+            isActive: true,
           },
         },
         {
@@ -53,36 +110,37 @@ router.get(
         pendingApprovals: pendingApprovalsCount,
         teamMembers: teamMemberIds.length,
         totalTeamRequests: teamStats.reduce((sum, stat) => sum + stat.count, 0),
-        approvedRequests:
-          teamStats.find((stat) => stat._id === "approved")?.count || 0,
+        approvedRequests: teamStats
+          .filter((stat) => APPROVED_STATUSES.includes(stat._id))
+          .reduce((sum, stat) => sum + stat.count, 0),
         pendingRequests:
           teamStats.find((stat) => stat._id === "pending")?.count || 0,
         totalAmount: teamStats.reduce((sum, stat) => sum + stat.totalAmount, 0),
+        unreadNotifications,
       };
 
       // Get recent pending approvals
-      const pendingApprovals = await CashAdvance.find({
-        status: "pending",
-        user: { $in: teamMemberIds },
-      })
-        .populate("user", "firstName lastName employeeId position department")
+      const pendingApprovals = await Advance.find(approvalFilter)
+        .populate(
+          "requester",
+          "firstName lastName employeeId position department"
+        )
         .sort({ createdAt: -1 })
         .limit(5);
 
       // Get recent team requests
-      const recentTeamRequests = await CashAdvance.find({
-        user: { $in: teamMemberIds },
+      const recentTeamRequests = await Advance.find({
+        requester: { $in: teamMemberIds },
+        isActive: true,
       })
-        .populate("user", "firstName lastName employeeId department")
-        .populate("approvedBy", "firstName lastName")
+        .populate("requester", "firstName lastName employeeId department")
+        .populate("approvals.approver", "firstName lastName role")
         .sort({ createdAt: -1 })
         .limit(5);
 
       // Get team members with full details and stats
       const displayTeamMembers = await User.find({
-        department: manager.department,
-        role: "staff",
-        isActive: true,
+        _id: { $in: teamMemberIds },
       })
         .select("firstName lastName employeeId position email phone createdAt")
         .limit(6);
@@ -90,8 +148,8 @@ router.get(
       // Add stats to each team member
       const teamMembersWithStats = await Promise.all(
         displayTeamMembers.map(async (member) => {
-          const memberStats = await CashAdvance.aggregate([
-            { $match: { user: member._id } },
+          const memberStats = await Advance.aggregate([
+            { $match: { requester: member._id, isActive: true } },
             {
               $group: {
                 _id: "$status",
@@ -103,7 +161,11 @@ router.get(
 
           const statusCounts = {
             pending: 0,
-            approved: 0,
+            manager_approved: 0,
+            finance_approved: 0,
+            disbursed: 0,
+            retirement_submitted: 0,
+            retirement_queried: 0,
             rejected: 0,
             retired: 0,
             total: 0,
@@ -150,25 +212,20 @@ router.get(
 );
 
 // @route   GET /api/manager/pending-approvals
-// @desc    Get all pending approvals for manager
-// @access  Private (Manager)
+// @desc    Get pending requests waiting on the current user's approval level
+// @access  Private (advance.approve)
 router.get(
   "/pending-approvals",
   authenticate,
-  authorize("manager"),
+  requirePermission("advance.approve"),
   async (req, res) => {
     try {
       const { page = 1, limit = 10, search = "" } = req.query;
-      const manager = await User.findById(req.user.id);
-
-      // Get team member IDs
-      const teamMembers = await User.find({
-        department: manager.department,
-        role: "staff",
-        isActive: true,
-      }).select("_id");
 
-      const teamMemberIds = teamMembers.map((member) => member._id);
+      // Only requests whose approval chain is waiting on one of our levels
+      const approvalFilter = (await buildPendingApprovalFilter(req.user)) || {
+        _id: null,
+      };
 
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -183,27 +240,33 @@ router.get(
         };
       }
 
-      const pendingApprovals = await CashAdvance.find({
-        status: "pending",
-        user: { $in: teamMemberIds },
-        ...searchFilter,
-      })
-        .populate("user", "firstName lastName employeeId position department")
-        .populate("approvedBy", "firstName lastName")
+      const filter = { $and: [approvalFilter, searchFilter] };
+
+      const pendingApprovals = await Advance.find(filter)
+        .populate(
+          "requester",
+          "firstName lastName employeeId position department"
+        )
+        .populate("approvals.approver", "firstName lastName role")
+        .populate("approvals.onBehalfOf", "firstName lastName role")
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit));
 
-      const total = await CashAdvance.countDocuments({
-        status: "pending",
-        user: { $in: teamMemberIds },
-        ...searchFilter,
-      });
+      const total = await Advance.countDocuments(filter);
+      const [, ...delegators] = await getActingPrincipals(req.user);
 
       res.json({
         success: true,
         data: {
           pendingApprovals,
+          // Approvers whose requests are included through a delegation
+          actingFor: delegators.map((delegator) => ({
+            _id: delegator._id,
+            firstName: delegator.firstName,
+            lastName: delegator.lastName,
+            department: delegator.department,
+          })),
           pagination: {
             currentPage: parseInt(page),
             totalPages: Math.ceil(total / parseInt(limit)),
@@ -224,55 +287,96 @@ router.get(
 );
 
 // @route   PUT /api/manager/requests/:id/approve
-// @desc    Approve a cash advance request
-// @access  Private (Manager)
+// @desc    Approve the current level of a cash advance request
+// @access  Private (advance.approve)
 router.put(
   "/requests/:id/approve",
   authenticate,
-  authorize("manager"),
+  requirePermission("advance.approve"),
+  validateApprovalDecision,
   async (req, res) => {
     try {
-      const manager = await User.findById(req.user.id);
-
-      // Get team member IDs to verify request belongs to manager's team
-      const teamMembers = await User.find({
-        department: manager.department,
-        role: "staff",
-        isActive: true,
-      }).select("_id");
-
-      const teamMemberIds = teamMembers.map((member) => member._id);
+      const { comment } = req.body;
 
-      const advance = await CashAdvance.findOne({
+      const advance = await Advance.findOne({
         _id: req.params.id,
-        status: "pending",
-        user: { $in: teamMemberIds },
+        isActive: true,
       });
 
-      if (!advance) {
+      if (!advance || !(await isInApprovalScope(req.user, advance))) {
         return res.status(404).json({
           success: false,
-          message: "Request not found or already processed",
+          message: "Request not found",
         });
       }
 
-      advance.status = "approved";
-      advance.approvedBy = req.user.id;
-      advance.approvedAt = new Date();
+      const before = snapshot(advance);
+      const action = getApprovalAction(advance);
+      const onBehalfOf = await getOnBehalfOf(req.user, advance);
+      await transition(advance, action, req.user, {
+        comment: comment ? comment.trim() : "",
+        onBehalfOf,
+      });
+
+      // Check the department budget before committing the approval
+      const budget = await checkAdvanceAgainstBudget(advance);
+
+      if (budget && budget.exceeded && budget.enforcement === "block") {
+        return res.status(400).json({
+          success: false,
+          message: `Approving this request would exceed the department's advance budget (${budget.remaining} of ${budget.amount} remaining)`,
+          data: { budget },
+        });
+      }
 
       await advance.save();
+      await recordAudit(req, {
+        action: `advance.${action}`,
+        targetType: "Advance",
+        targetId: advance._id,
+        before,
+        after: snapshot(advance),
+      });
+      await emitAdvanceEvent("advance.approved", {
+        advance,
+        actor: req.user,
+        onBehalfOf,
+      });
       await advance.populate(
-        "user",
+        "requester",
         "firstName lastName email employeeId department"
       );
-      await advance.populate("approvedBy", "firstName lastName");
+      await advance.populate("approvals.approver", "firstName lastName role");
+      await advance.populate("approvals.onBehalfOf", "firstName lastName role");
+
+      const approvedBy = onBehalfOf
+        ? `Approved by ${fullName(req.user)} on behalf of ${fullName(
+            onBehalfOf
+          )}`
+        : "Approved";
+
+      const budgetWarning =
+        budget && budget.exceeded
+          ? `This approval takes the department over its advance budget by ${
+              Math.round((budget.projected - budget.amount) * 100) / 100
+            }`
+          : undefined;
 
       res.json({
         success: true,
-        message: "Request approved successfully",
-        data: { advance },
+        message:
+          advance.status === "pending"
+            ? `${approvedBy}. Now waiting on ${advance.currentApprovalLevel} approval`
+            : onBehalfOf
+            ? approvedBy
+            : "Request approved successfully",
+        data: { advance, budget, budgetWarning },
       });
     } catch (error) {
+      if (error.name === "TransitionError") {
+        return res.status(error.status).json(error.toJSON());
+      }
+
       console.error("Approve request error:", error);
       res.status(500).json({
         success: false,
@@ -283,36 +387,26 @@ router.put(
 );
 
 // @route   PUT /api/manager/requests/:id/reject
-// @desc    Reject a cash advance request
-// @access  Private (Manager)
+// @desc    Reject a cash advance request at the current approval level
+// @access  Private (advance.approve)
 router.put(
   "/requests/:id/reject",
   authenticate,
-  authorize("manager"),
+  requirePermission("advance.approve"),
+  validateRejection,
   async (req, res) => {
     try {
       const { reason } = req.body;
-      const manager = await User.findById(req.user.id);
 
-      // Get team member IDs to verify request belongs to manager's team
-      const teamMembers = await User.find({
-        department: manager.department,
-        role: "staff",
-        isActive: true,
-      }).select("_id");
-
-      const teamMemberIds = teamMembers.map((member) => member._id);
-
-      const advance = await CashAdvance.findOne({
+      const advance = await Advance.findOne({
         _id: req.params.id,
-        status: "pending",
-        user: { $in: teamMemberIds },
+        isActive: true,
       });
 
-      if (!advance) {
+      if (!advance || !(await isInApprovalScope(req.user, advance))) {
         return res.status(404).json({
           success: false,
-          message: "Request not found or already processed",
+          message: "Request not found",
         });
       }
 
@@ -323,24 +417,48 @@ router.put(
         });
       }
 
-      advance.status = "rejected";
-      advance.rejectedReason = reason.trim();
-      advance.rejectedBy = req.user.id;
-      advance.rejectedAt = new Date();
+      const before = snapshot(advance);
+      const onBehalfOf = await getOnBehalfOf(req.user, advance);
+      await transition(advance, "manager_reject", req.user, {
+        comment: reason.trim(),
+        onBehalfOf,
+      });
 
       await advance.save();
+      await recordAudit(req, {
+        action: "advance.manager_reject",
+        targetType: "Advance",
+        targetId: advance._id,
+        before,
+        after: snapshot(advance),
+      });
+      await emitAdvanceEvent("advance.rejected", {
+        advance,
+        actor: req.user,
+        onBehalfOf,
+        comment: reason.trim(),
+      });
       await advance.populate(
-        "user",
+        "requester",
         "firstName lastName email employeeId department"
       );
-      await advance.populate("rejectedBy", "firstName lastName");
+      await advance.populate("approvals.approver", "firstName lastName role");
+      await advance.populate("approvals.onBehalfOf", "firstName lastName role");
 
       res.json({
         success: true,
-        message: "Request rejected successfully",
+        message: onBehalfOf
+          ? `Rejected by ${fullName(req.user)} on behalf of ${fullName(
+              onBehalfOf
+            )}`
+          : "Request rejected successfully",
         data: { advance },
       });
     } catch (error) {
+      if (error.name === "TransitionError") {
+        return res.status(error.status).json(error.toJSON());
+      }
+
       console.error("Reject request error:", error);
       res.status(500).json({
         success: false,
@@ -352,11 +470,11 @@ router.put(
 
 // @route   GET /api/manager/team-requests
 // @desc    Get all team requests with filtering
-// @access  Private (Manager)
+// @access  Private (advance.view.team)
 router.get(
   "/team-requests",
   authenticate,
-  authorize("manager"),
+  requirePermission("advance.view.team"),
   async (req, res) => {
     try {
       const {
@@ -367,19 +485,11 @@ router.get(
         search = "",
       } = req.query;
 
-      const manager = await User.findById(req.user.id);
-
       // Get team member IDs
-      const teamMembers = await User.find({
-        department: manager.department,
-        role: "staff",
-        isActive: true,
-      }).select("_id");
-
-      const teamMemberIds = teamMembers.map((member) => member._id);
+      const teamMemberIds = await getTeamMemberIds(req.user);
 
       // Build filter
-      let filter = { user: { $in: teamMemberIds } };
+      let filter = { requester: { $in: teamMemberIds }, isActive: true };
 
       if (status && status !== "all") {
         filter.status = status;
@@ -395,14 +505,17 @@ router.get(
 
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
-      const requests = await CashAdvance.find(filter)
-        .populate("user", "firstName lastName employeeId position department")
-        .populate("approvedBy", "firstName lastName")
+      const requests = await Advance.find(filter)
+        .populate(
+          "requester",
+          "firstName lastName employeeId position department"
+        )
+        .populate("approvals.approver", "firstName lastName role")
         .sort(sort)
         .skip(skip)
         .limit(parseInt(limit));
 
-      const total = await CashAdvance.countDocuments(filter);
+      const total = await Advance.countDocuments(filter);
 
       res.json({
         success: true,
@@ -429,21 +542,26 @@ router.get(
 
 // @route   GET /api/manager/team-members
 // @desc    Get all team members with their request stats
-// @access  Private (Manager)
+// @access  Private (advance.view.team)
 router.get(
   "/team-members",
   authenticate,
-  authorize("manager"),
+  requirePermission("advance.view.team"),
   async (req, res) => {
     try {
-      const { search = "" } = req.query;
-      const manager = await User.findById(req.user.id);
+      const { search = "", scope = "all" } = req.query;
+
+      // Direct reports only, or the whole reporting line below the manager
+      const reports = await getReports(req.user._id, {
+        directOnly: scope === "direct",
+      });
+      const depthById = new Map(
+        reports.map((report) => [String(report._id), report.depth])
+      );
 
       // Build search filter for team members
       let memberFilter = {
-        department: manager.department,
-        role: "staff",
-        isActive: true,
+        _id: { $in: reports.map((report) => report._id) },
       };
 
       if (search) {
@@ -456,15 +574,16 @@ router.get(
 
       const teamMembers = await User.find(memberFilter)
         .select(
-          "firstName lastName employeeId position email phone department hireDate"
+          "firstName lastName employeeId position email phone department hireDate managerId"
         )
+        .populate("managerId", "firstName lastName")
         .sort({ firstName: 1 });
 
       // Get request stats for each team member
       const teamMembersWithStats = await Promise.all(
         teamMembers.map(async (member) => {
-          const stats = await CashAdvance.aggregate([
-            { $match: { user: member._id } },
+          const stats = await Advance.aggregate([
+            { $match: { requester: member._id, isActive: true } },
             {
               $group: {
                 _id: "$status",
@@ -476,7 +595,11 @@ router.get(
 
           const statusCounts = {
             pending: 0,
-            approved: 0,
+            manager_approved: 0,
+            finance_approved: 0,
+            disbursed: 0,
+            retirement_submitted: 0,
+            retirement_queried: 0,
             rejected: 0,
             retired: 0,
             total: 0,
@@ -491,6 +614,7 @@ router.get(
 
           return {
             ...member.toObject(),
+            isDirectReport: depthById.get(String(member._id)) === 0,
             stats: statusCounts,
           };
         })
@@ -515,26 +639,19 @@ router.get(
 
 // @route   GET /api/manager/team-members/:id/requests
 // @desc    Get all requests for a specific team member
-// @access  Private (Manager)
+// @access  Private (advance.view.team)
 router.get(
   "/team-members/:id/requests",
   authenticate,
-  authorize("manager"),
+  requirePermission("advance.view.team"),
   async (req, res) => {
     try {
       const { id } = req.params;
       const { status, page = 1, limit = 10 } = req.query;
-      const manager = await User.findById(req.user.id);
-
-      // Verify the team member belongs to manager's department
-      const teamMember = await User.findOne({
-        _id: id,
-        department: manager.department,
-        role: "staff",
-        isActive: true,
-      });
+      // Verify the team member reports to the manager
+      const teamMember = await User.findOne({ _id: id, isActive: true });
 
-      if (!teamMember) {
+      if (!teamMember || !(await isInTeam(req.user, teamMember._id))) {
         return res.status(404).json({
           success: false,
           message: "Team member not found",
@@ -542,25 +659,28 @@ router.get(
       }
 
       // Build filter for member's requests
-      const filter = { user: id };
+      const filter = { requester: id, isActive: true };
       if (status && status !== "all") {
         filter.status = status;
       }
 
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
-      const requests = await CashAdvance.find(filter)
-        .populate("user", "firstName lastName employeeId position department")
-        .populate("approvedBy", "firstName lastName")
+      const requests = await Advance.find(filter)
+        .populate(
+          "requester",
+          "firstName lastName employeeId position department"
+        )
+        .populate("approvals.approver", "firstName lastName role")
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit));
 
-      const total = await CashAdvance.countDocuments(filter);
+      const total = await Advance.countDocuments(filter);
 
       // Get stats for this team member
-      const stats = await CashAdvance.aggregate([
-        { $match: { user: teamMember._id } },
+      const stats = await Advance.aggregate([
+        { $match: { requester: teamMember._id, isActive: true } },
         {
           $group: {
             _id: "$status",
@@ -572,7 +692,11 @@ router.get(
 
       const statusCounts = {
         pending: 0,
-        approved: 0,
+        manager_approved: 0,
+        finance_approved: 0,
+        disbursed: 0,
+        retirement_submitted: 0,
+        retirement_queried: 0,
         rejected: 0,
         retired: 0,
         total: 0,
@@ -614,35 +738,28 @@ router.get(
 
 // @route   GET /api/manager/requests/:id
 // @desc    Get detailed view of a specific request
-// @access  Private (Manager)
+// @access  Private (advance.view.team)
 router.get(
   "/requests/:id",
   authenticate,
-  authorize("manager"),
+  requirePermission("advance.view.team"),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const manager = await User.findById(req.user.id);
-
       // Get team member IDs
-      const teamMembers = await User.find({
-        department: manager.department,
-        role: "staff",
-        isActive: true,
-      }).select("_id");
+      const teamMemberIds = await getTeamMemberIds(req.user);
 
-      const teamMemberIds = teamMembers.map((member) => member._id);
-
-      const request = await CashAdvance.findOne({
+      const request = await Advance.findOne({
         _id: id,
-        user: { $in: teamMemberIds },
+        requester: { $in: teamMemberIds },
+        isActive: true,
       })
         .populate(
-          "user",
+          "requester",
           "firstName lastName email employeeId position department phone"
         )
-        .populate("approvedBy", "firstName lastName")
-        .populate("rejectedBy", "firstName lastName");
+        .populate("approvals.approver", "firstName lastName role")
+        .populate("disbursement.disbursedBy", "firstName lastName");
 
       if (!request) {
         return res.status(404).json({
@@ -651,9 +768,15 @@ router.get(
         });
       }
 
+      // Where the department's budget would stand if this were approved
+      const budget =
+        request.status === "pending"
+          ? await checkAdvanceAgainstBudget(request)
+          : null;
+
       res.json({
         success: true,
-        data: { request },
+        data: { request, budget },
       });
     } catch (error) {
       console.error("Get request detail error:", error);
@@ -666,25 +789,17 @@ router.get(
 );
 
 // @route   GET /api/manager/reports/summary
-// @desc    Get reports and analytics for manager's department
-// @access  Private (Manager)
+// @desc    Get reports and analytics for manager's team
+// @access  Private (advance.view.team)
 router.get(
   "/reports/summary",
   authenticate,
-  authorize("manager"),
+  requirePermission("advance.view.team"),
   async (req, res) => {
     try {
       const { startDate, endDate } = req.query;
-      const manager = await User.findById(req.user.id);
-
       // Get team member IDs
-      const teamMembers = await User.find({
-        department: manager.department,
-        role: "staff",
-        isActive: true,
-      }).select("_id");
-
-      const teamMemberIds = teamMembers.map((member) => member._id);
+      const teamMemberIds = await getTeamMemberIds(req.user);
 
       // Build date filter
       let dateFilter = {};
@@ -695,10 +810,11 @@ router.get(
       }
 
       // Get department summary
-      const departmentSummary = await CashAdvance.aggregate([
+      const departmentSummary = await Advance.aggregate([
         {
           $match: {
-            user: { $in: teamMemberIds },
+            requester: { $in: teamMemberIds },
+            isActive: true,
             ...dateFilter,
           },
         },
@@ -708,10 +824,14 @@ router.get(
             totalRequests: { $sum: 1 },
             totalAmount: { $sum: "$amount" },
             approvedRequests: {
-              $sum: { $cond: [{ $eq: ["$status", "approved"] }, 1, 0] },
+              $sum: {
+                $cond: [{ $in: ["$status", APPROVED_STATUSES] }, 1, 0],
+              },
             },
             approvedAmount: {
-              $sum: { $cond: [{ $eq: ["$status", "approved"] }, "$amount", 0] },
+              $sum: {
+                $cond: [{ $in: ["$status", APPROVED_STATUSES] }, "$amount", 0],
+              },
             },
             pendingRequests: {
               $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] },
@@ -724,10 +844,11 @@ router.get(
       ]);
 
       // Get status breakdown
-      const statusBreakdown = await CashAdvance.aggregate([
+      const statusBreakdown = await Advance.aggregate([
         {
           $match: {
-            user: { $in: teamMemberIds },
+            requester: { $in: teamMemberIds },
+            isActive: true,
             ...dateFilter,
           },
         },
@@ -743,10 +864,11 @@ router.get(
 
       // Get monthly trends for the current year
       const currentYear = new Date().getFullYear();
-      const monthlyTrends = await CashAdvance.aggregate([
+      const monthlyTrends = await Advance.aggregate([
         {
           $match: {
-            user: { $in: teamMemberIds },
+            requester: { $in: teamMemberIds },
+            isActive: true,
             createdAt: {
               $gte: new Date(`${currentYear}-01-01`),
               $lte: new Date(`${currentYear}-12-31`),
@@ -762,7 +884,9 @@ router.get(
             totalRequests: { $sum: 1 },
             totalAmount: { $sum: "$amount" },
             approvedRequests: {
-              $sum: { $cond: [{ $eq: ["$status", "approved"] }, 1, 0] },
+              $sum: {
+                $cond: [{ $in: ["$status", APPROVED_STATUSES] }, 1, 0],
+              },
             },
           },
         },
@@ -799,7 +923,7 @@ router.get(
           summary,
           statusBreakdown,
           monthlyTrends,
-          teamMembersCount: teamMembers.length,
+          teamMembersCount: teamMemberIds.length,
         },
       });
     } catch (error) {
@@ -812,4 +936,304 @@ router.get(
   }
 );
 
+// @route   GET /api/manager/reports/budget-vs-actual
+// @desc    Get advance budgets against consumption for the team's departments
+// @access  Private (report.view)
+router.get(
+  "/reports/budget-vs-actual",
+  authenticate,
+  requirePermission("report.view"),
+  async (req, res) => {
+    try {
+      const { department } = req.query;
+      const date = req.query.date ? new Date(req.query.date) : new Date();
+
+      if (
+        department &&
+        department !== "all" &&
+        !mongoose.Types.ObjectId.isValid(department)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid department",
+        });
+      }
+
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid date",
+        });
+      }
+
+      const budgetFilter = {
+        periodStart: { $lte: date },
+        periodEnd: { $gte: date },
+      };
+
+      if (!(await hasPermission(req.user, "report.view.all"))) {
+        // The manager's own department and those of everyone below them
+        const teamMemberIds = await getTeamMemberIds(req.user);
+        const departmentIds = await User.distinct("department", {
+          _id: { $in: [req.user._id, ...teamMemberIds] },
+        });
+
+        budgetFilter.department = { $in: departmentIds };
+      }
+
+      if (department && department !== "all") {
+        budgetFilter.department = budgetFilter.department
+          ? { $in: budgetFilter.department.$in, $eq: department }
+          : department;
+      }
+
+      const budgets = await DepartmentBudget.find(budgetFilter)
+        .populate("department", "code name costCenter")
+        .sort({ periodStart: 1 });
+
+      const rows = await Promise.all(
+        budgets.map(async (budget) =>
+          describeBudget(budget, await getConsumption(budget))
+        )
+      );
+
+      const totals = rows.reduce(
+        (sum, row) => ({
+          amount: sum.amount + row.amount,
+          approved: sum.approved + row.approved,
+          disbursed: sum.disbursed + row.disbursed,
+          consumed: sum.consumed + row.consumed,
+          remaining: sum.remaining + row.remaining,
+        }),
+        { amount: 0, approved: 0, disbursed: 0, consumed: 0, remaining: 0 }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          date,
+          budgets: rows,
+          totals: Object.fromEntries(
+            Object.entries(totals).map(([key, value]) => [
+              key,
+              Math.round(value * 100) / 100,
+            ])
+          ),
+          overBudget: rows.filter((row) => row.remaining < 0).length,
+        },
+      });
+    } catch (error) {
+      console.error("Budget vs actual error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error generating budget report",
+      });
+    }
+  }
+);
+
+// @route   GET /api/manager/delegations
+// @desc    Get delegations the user has given and received
+// @access  Private (advance.approve)
+router.get(
+  "/delegations",
+  authenticate,
+  requirePermission("advance.approve"),
+  async (req, res) => {
+    try {
+      const { status = "all" } = req.query;
+      const now = new Date();
+
+      const filter = {};
+      if (status === "active") {
+        filter.revokedAt = null;
+        filter.startDate = { $lte: now };
+        filter.endDate = { $gte: now };
+      } else if (status === "upcoming") {
+        filter.revokedAt = null;
+        filter.startDate = { $gt: now };
+      }
+
+      const [given, received] = await Promise.all([
+        Delegation.find({ ...filter, delegator: req.user.id })
+          .populate("delegate", "firstName lastName email role department")
+          .sort({ startDate: -1 }),
+        Delegation.find({ ...filter, delegate: req.user.id })
+          .populate("delegator", "firstName lastName email role department")
+          .sort({ startDate: -1 }),
+      ]);
+
+      res.json({
+        success: true,
+        data: { given, received },
+      });
+    } catch (error) {
+      console.error("Get delegations error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching delegations",
+      });
+    }
+  }
+);
+
+// @route   POST /api/manager/delegations
+// @desc    Delegate the user's approval authority for a date range
+// @access  Private (advance.approve)
+router.post(
+  "/delegations",
+  authenticate,
+  requirePermission("advance.approve"),
+  validateDelegation,
+  async (req, res) => {
+    try {
+      const { delegateId, reason } = req.body;
+      const startDate = new Date(req.body.startDate);
+      const endDate = new Date(req.body.endDate);
+
+      if ((await getApprovalLevels(req.user)).length === 0) {
+        return res.status(403).json({
+          success: false,
+          message: "You have no approval authority to delegate",
+        });
+      }
+
+      if (endDate <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: "End date must be in the future",
+        });
+      }
+
+      if (delegateId === String(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot delegate to yourself",
+        });
+      }
+
+      const delegate = await User.findOne({ _id: delegateId, isActive: true });
+
+      if (!delegate) {
+        return res.status(404).json({
+          success: false,
+          message: "Delegate not found",
+        });
+      }
+
+      // The delegate must be able to reach the approval endpoints
+      if (!(await hasPermission(delegate, "advance.approve"))) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Approval can only be delegated to a user who can approve requests",
+        });
+      }
+
+      const overlapping = await Delegation.findOverlapping(
+        req.user.id,
+        startDate,
+        endDate
+      );
+
+      if (overlapping) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "You already have a delegation covering part of this period",
+          data: { delegation: overlapping },
+        });
+      }
+
+      const delegation = await Delegation.create({
+        delegator: req.user.id,
+        delegate: delegate._id,
+        startDate,
+        endDate,
+        reason,
+      });
+
+      await recordAudit(req, {
+        action: "delegation.create",
+        targetType: "Delegation",
+        targetId: delegation._id,
+        after: snapshot(delegation),
+      });
+      await delegation.populate(
+        "delegate",
+        "firstName lastName email role department"
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Delegation created successfully",
+        data: { delegation },
+      });
+    } catch (error) {
+      console.error("Create delegation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error creating delegation",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/manager/delegations/:id
+// @desc    Revoke a delegation before it ends
+// @access  Private (Delegator, or delegation.manage)
+router.delete(
+  "/delegations/:id",
+  authenticate,
+  requirePermission("advance.approve"),
+  async (req, res) => {
+    try {
+      const delegation = await Delegation.findById(req.params.id);
+
+      if (
+        !delegation ||
+        (String(delegation.delegator) !== String(req.user._id) &&
+          !(await hasPermission(req.user, "delegation.manage")))
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: "Delegation not found",
+        });
+      }
+
+      if (delegation.revokedAt || delegation.endDate < new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: "Delegation has already ended",
+        });
+      }
+
+      const before = snapshot(delegation);
+      delegation.revokedAt = new Date();
+      delegation.revokedBy = req.user.id;
+      await delegation.save();
+
+      await recordAudit(req, {
+        action: "delegation.revoke",
+        targetType: "Delegation",
+        targetId: delegation._id,
+        before,
+        after: snapshot(delegation),
+      });
+
+      res.json({
+        success: true,
+        message: "Delegation revoked successfully",
+        data: { delegation },
+      });
+    } catch (error) {
+      console.error("Revoke delegation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error revoking delegation",
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,196 @@
+// routes/notifications.js
+const express = require("express");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { authenticate } = require("../middleware/auth");
+const { validateNotificationPreferences } = require("../middleware/validation");
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications, newest first
+// @access  Private
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const filter = { recipient: req.user.id };
+    if (unread === "true") {
+      filter.readAt = null;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate("advance", "requestNumber amount status")
+        .populate("actor", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Notification.countDocuments(filter),
+      Notification.countUnread(req.user.id),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalNotifications: total,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching notifications",
+    });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get the current user's email notification preferences
+// @access  Private
+router.get("/preferences", authenticate, async (req, res) => {
+  try {
+    const { notificationPreferences } = await User.findById(req.user.id).select(
+      "notificationPreferences"
+    );
+
+    res.json({
+      success: true,
+      data: {
+        preferences: notificationPreferences,
+        types: Notification.schema.path("type").enumValues,
+      },
+    });
+  } catch (error) {
+    console.error("Get notification preferences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching notification preferences",
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Turn email notifications on or off, overall or per type
+// @access  Private
+router.put(
+  "/preferences",
+  authenticate,
+  validateNotificationPreferences,
+  async (req, res) => {
+    try {
+      const { email, mutedEmailTypes } = req.body;
+      const types = Notification.schema.path("type").enumValues;
+
+      const unknown = (mutedEmailTypes || []).filter(
+        (type) => !types.includes(type)
+      );
+
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown notification types: ${unknown.join(", ")}`,
+        });
+      }
+
+      const updates = {};
+      if (email !== undefined) {
+        updates["notificationPreferences.email"] = email;
+      }
+      if (mutedEmailTypes !== undefined) {
+        updates["notificationPreferences.mutedEmailTypes"] = mutedEmailTypes;
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.user.id,
+        { $set: updates },
+        { new: true, runValidators: true }
+      ).select("notificationPreferences");
+
+      res.json({
+        success: true,
+        message: "Notification preferences updated successfully",
+        data: { preferences: user.notificationPreferences },
+      });
+    } catch (error) {
+      console.error("Update notification preferences error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating notification preferences",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.put("/read-all", authenticate, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user.id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      data: { unreadCount: 0 },
+    });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error marking notifications as read",
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private (Recipient)
+router.put("/:id/read", authenticate, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user.id,
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Notification marked as read",
+      data: {
+        notification,
+        unreadCount: await Notification.countUnread(req.user.id),
+      },
+    });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error marking notification as read",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+// routes/policies.js
+const express = require("express");
+const AdvancePolicy = require("../models/AdvancePolicy");
+const { authenticate, requirePermission } = require("../middleware/auth");
+const { validateAdvancePolicy } = require("../middleware/validation");
+const { snapshot, recordAudit } = require("../services/audit");
+
+const router = express.Router();
+
+const POLICY_FIELDS = [
+  "name",
+  "description",
+  "scope",
+  "scopeValue",
+  "maxConcurrentUnretired",
+  "maxOutstandingTotal",
+  "maxRequestAmount",
+  "isActive",
+];
+
+// @route   GET /api/advance-policies
+// @desc    Get all advance policy rules
+// @access  Private (policy.manage)
+router.get(
+  "/",
+  authenticate,
+  requirePermission("policy.manage"),
+  async (req, res) => {
+    try {
+      const { scope, isActive = "all" } = req.query;
+
+      const filter = {};
+      if (scope && scope !== "all") {
+        filter.scope = scope;
+      }
+      if (isActive !== "all") {
+        filter.isActive = isActive === "true";
+      }
+
+      const policies = await AdvancePolicy.find(filter)
+        .populate("createdBy", "firstName lastName")
+        .populate("updatedBy", "firstName lastName")
+        .sort({ scope: 1, name: 1 });
+
+      res.json({
+        success: true,
+        data: { policies },
+      });
+    } catch (error) {
+      console.error("Get policies error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching advance policies",
+      });
+    }
+  }
+);
+
+// @route   GET /api/advance-policies/:id
+// @desc    Get a single advance policy rule
+// @access  Private (policy.manage)
+router.get(
+  "/:id",
+  authenticate,
+  requirePermission("policy.manage"),
+  async (req, res) => {
+    try {
+      const policy = await AdvancePolicy.findById(req.params.id)
+        .populate("createdBy", "firstName lastName")
+        .populate("updatedBy", "firstName lastName");
+
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          message: "Advance policy not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { policy },
+      });
+    } catch (error) {
+      console.error("Get policy error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching advance policy",
+      });
+    }
+  }
+);
+
+// @route   POST /api/advance-policies
+// @desc    Create an advance policy rule
+// @access  Private (policy.manage)
+router.post(
+  "/",
+  authenticate,
+  requirePermission("policy.manage"),
+  validateAdvancePolicy,
+  async (req, res) => {
+    try {
+      const policy = new AdvancePolicy({
+        createdBy: req.user.id,
+      });
+
+      POLICY_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          policy[field] = req.body[field];
+        }
+      });
+
+      await policy.save();
+      await recordAudit(req, {
+        action: "policy.create",
+        targetType: "AdvancePolicy",
+        targetId: policy._id,
+        after: snapshot(policy),
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Advance policy created successfully",
+        data: { policy },
+      });
+    } catch (error) {
+      console.error("Create policy error:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error creating advance policy",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/advance-policies/:id
+// @desc    Update an advance policy rule
+// @access  Private (policy.manage)
+router.put(
+  "/:id",
+  authenticate,
+  requirePermission("policy.manage"),
+  validateAdvancePolicy,
+  async (req, res) => {
+    try {
+      const policy = await AdvancePolicy.findById(req.params.id);
+
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          message: "Advance policy not found",
+        });
+      }
+
+      const before = snapshot(policy);
+
+      POLICY_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          policy[field] = req.body[field];
+        }
+      });
+
+      if (policy.scope === "global") {
+        policy.scopeValue = undefined;
+      }
+      policy.updatedBy = req.user.id;
+
+      await policy.save();
+      await recordAudit(req, {
+        action: "policy.update",
+        targetType: "AdvancePolicy",
+        targetId: policy._id,
+        before,
+        after: snapshot(policy),
+      });
+
+      res.json({
+        success: true,
+        message: "Advance policy updated successfully",
+        data: { policy },
+      });
+    } catch (error) {
+      console.error("Update policy error:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error updating advance policy",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/advance-policies/:id
+// @desc    Delete an advance policy rule
+// @access  Private (policy.manage)
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("policy.manage"),
+  async (req, res) => {
+    try {
+      const policy = await AdvancePolicy.findByIdAndDelete(req.params.id);
+
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          message: "Advance policy not found",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "policy.delete",
+        targetType: "AdvancePolicy",
+        targetId: policy._id,
+        before: snapshot(policy),
+      });
+
+      res.json({
+        success: true,
+        message: "Advance policy deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete policy error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deleting advance policy",
+      });
+    }
+  }
+);
+
+module.exports = router;
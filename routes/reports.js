@@ -2,17 +2,73 @@
 const express = require("express");
 const Advance = require("../models/Advance");
 const User = require("../models/User");
-const { authenticate, authorize } = require("../middleware/auth");
+const Department = require("../models/Department");
+const { authenticate, requirePermission } = require("../middleware/auth");
+const {
+  SOD_RULES,
+  buildConflictStages,
+} = require("../services/segregationOfDuties");
 
 const router = express.Router();
 
+// Statuses in which money has been handed out
+const DISBURSED_STATUSES = [
+  "disbursed",
+  "retirement_submitted",
+  "retirement_queried",
+  "retired",
+];
+
+// Statuses that count as fully approved (finance has signed off)
+const FINANCE_APPROVED_STATUSES = ["finance_approved", ...DISBURSED_STATUSES];
+
+// Match on the requester's department, given by ID or code; an unknown
+// department matches nothing
+const buildDepartmentMatch = async (department) => {
+  if (!department || department === "all") {
+    return {};
+  }
+
+  const match = await Department.findByIdOrCode(department);
+  return { "requesterData.department": match ? match._id : null };
+};
+
+// Stages that resolve the department ID in `field` to its code and name,
+// stored under `as` (the same field by default)
+const lookupDepartment = (field, as = field) => [
+  {
+    $lookup: {
+      from: Department.collection.name,
+      localField: field,
+      foreignField: "_id",
+      as: "departmentData",
+    },
+  },
+  {
+    $addFields: {
+      [as]: {
+        $let: {
+          vars: { department: { $arrayElemAt: ["$departmentData", 0] } },
+          in: {
+            _id: "$$department._id",
+            code: "$$department.code",
+            name: "$$department.name",
+            costCenter: "$$department.costCenter",
+          },
+        },
+      },
+    },
+  },
+  { $project: { departmentData: 0 } },
+];
+
 // @route   GET /api/reports/summary
 // @desc    Get summary report
-// @access  Private (Manager/Finance/Admin)
+// @access  Private (report.view)
 router.get(
   "/summary",
   authenticate,
-  authorize("manager", "finance", "admin"),
+  requirePermission("report.view"),
   async (req, res) => {
     try {
       const { startDate, endDate, department, status } = req.query;
@@ -31,6 +87,8 @@ router.get(
         matchFilter.status = status;
       }
 
+      const departmentMatch = await buildDepartmentMatch(department);
+
       const summary = await Advance.aggregate([
         { $match: matchFilter },
         {
@@ -44,12 +102,7 @@ router.get(
         {
           $unwind: "$requesterData",
         },
-        {
-          $match:
-            department && department !== "all"
-              ? { "requesterData.department": department }
-              : {},
-        },
+        { $match: departmentMatch },
         {
           $group: {
             _id: null,
@@ -59,10 +112,7 @@ router.get(
               $sum: {
                 $cond: [
                   {
-                    $in: [
-                      "$status",
-                      ["finance_approved", "disbursed", "retired"],
-                    ],
+                    $in: ["$status", FINANCE_APPROVED_STATUSES],
                   },
                   "$amount",
                   0,
@@ -81,7 +131,7 @@ router.get(
             disbursedAmount: {
               $sum: {
                 $cond: [
-                  { $in: ["$status", ["disbursed", "retired"]] },
+                  { $in: ["$status", DISBURSED_STATUSES] },
                   "$disbursement.disbursedAmount",
                   0,
                 ],
@@ -105,12 +155,7 @@ router.get(
         {
           $unwind: "$requesterData",
         },
-        {
-          $match:
-            department && department !== "all"
-              ? { "requesterData.department": department }
-              : {},
-        },
+        { $match: departmentMatch },
         {
           $group: {
             _id: "$status",
@@ -142,6 +187,7 @@ router.get(
             totalAmount: { $sum: "$amount" },
           },
         },
+        ...lookupDepartment("_id", "department"),
         { $sort: { totalAmount: -1 } },
       ]);
 
@@ -171,11 +217,11 @@ router.get(
 
 // @route   GET /api/reports/user-activity
 // @desc    Get user activity report
-// @access  Private (Manager/Finance/Admin)
+// @access  Private (report.view)
 router.get(
   "/user-activity",
   authenticate,
-  authorize("manager", "finance", "admin"),
+  requirePermission("report.view"),
   async (req, res) => {
     try {
       const { startDate, endDate, limit = 20 } = req.query;
@@ -220,10 +266,7 @@ router.get(
               $sum: {
                 $cond: [
                   {
-                    $in: [
-                      "$status",
-                      ["finance_approved", "disbursed", "retired"],
-                    ],
+                    $in: ["$status", FINANCE_APPROVED_STATUSES],
                   },
                   1,
                   0,
@@ -248,6 +291,7 @@ router.get(
         },
         { $sort: { totalAmount: -1 } },
         { $limit: parseInt(limit) },
+        ...lookupDepartment("department"),
       ]);
 
       res.json({
@@ -268,11 +312,11 @@ router.get(
 
 // @route   GET /api/reports/monthly-trends
 // @desc    Get monthly trends report
-// @access  Private (Manager/Finance/Admin)
+// @access  Private (report.view)
 router.get(
   "/monthly-trends",
   authenticate,
-  authorize("manager", "finance", "admin"),
+  requirePermission("report.view"),
   async (req, res) => {
     try {
       const { year = new Date().getFullYear() } = req.query;
@@ -299,10 +343,7 @@ router.get(
               $sum: {
                 $cond: [
                   {
-                    $in: [
-                      "$status",
-                      ["finance_approved", "disbursed", "retired"],
-                    ],
+                    $in: ["$status", FINANCE_APPROVED_STATUSES],
                   },
                   1,
                   0,
@@ -313,10 +354,7 @@ router.get(
               $sum: {
                 $cond: [
                   {
-                    $in: [
-                      "$status",
-                      ["finance_approved", "disbursed", "retired"],
-                    ],
+                    $in: ["$status", FINANCE_APPROVED_STATUSES],
                   },
                   "$amount",
                   0,
@@ -363,11 +401,11 @@ router.get(
 
 // @route   GET /api/reports/pending-advances
 // @desc    Get all pending advances report
-// @access  Private (Manager/Finance/Admin)
+// @access  Private (report.view)
 router.get(
   "/pending-advances",
   authenticate,
-  authorize("manager", "finance", "admin"),
+  requirePermission("report.view"),
   async (req, res) => {
     try {
       const pendingAdvances = await Advance.find({
@@ -417,17 +455,18 @@ router.get(
 
 // @route   GET /api/reports/overdue-returns
 // @desc    Get overdue returns report
-// @access  Private (Finance/Admin)
+// @access  Private (report.view.all)
 router.get(
   "/overdue-returns",
   authenticate,
-  authorize("finance", "admin"),
+  requirePermission("report.view.all"),
   async (req, res) => {
     try {
       const today = new Date();
 
+      // Queried retirements are still the employee's to settle
       const overdueAdvances = await Advance.find({
-        status: "disbursed",
+        status: { $in: ["disbursed", "retirement_queried"] },
         expectedReturnDate: { $lt: today },
         isActive: true,
       })
@@ -467,4 +506,115 @@ router.get(
   }
 );
 
+// @route   GET /api/reports/sod-conflicts
+// @desc    Get advances where one person did duties that must be segregated
+// @access  Private (sod.manage)
+router.get(
+  "/sod-conflicts",
+  authenticate,
+  requirePermission("sod.manage"),
+  async (req, res) => {
+    try {
+      const { rule, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+      if (rule && rule !== "all" && !SOD_RULES[rule]) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown rule. Use one of: ${Object.keys(SOD_RULES).join(
+            ", "
+          )}`,
+        });
+      }
+
+      const filter = { "approvals.0": { $exists: true } };
+      if (startDate || endDate) {
+        filter.createdAt = {};
+        if (startDate) filter.createdAt.$gte = new Date(startDate);
+        if (endDate) filter.createdAt.$lte = new Date(endDate);
+      }
+
+      const rules = rule && rule !== "all" ? [rule] : Object.keys(SOD_RULES);
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      // One document per conflict, matched and paged in MongoDB
+      const [result] = await Advance.aggregate([
+        { $match: filter },
+        { $sort: { createdAt: -1 } },
+        {
+          $project: {
+            requestNumber: 1,
+            requester: 1,
+            amount: 1,
+            status: 1,
+            approvals: 1,
+            disbursement: 1,
+            "retirement.verifiedBy": 1,
+            "retirement.reviewThread": 1,
+            createdAt: 1,
+          },
+        },
+        ...buildConflictStages(rules),
+        {
+          $facet: {
+            page: [
+              { $skip: skip },
+              { $limit: parseInt(limit) },
+              {
+                $project: {
+                  conflict: 1,
+                  requestNumber: 1,
+                  amount: 1,
+                  status: 1,
+                  createdAt: 1,
+                },
+              },
+            ],
+            byRule: [{ $group: { _id: "$conflict.rule", count: { $sum: 1 } } }],
+          },
+        },
+      ]).allowDiskUse(true);
+
+      const users = await User.find({
+        _id: { $in: result.page.map(({ conflict }) => conflict.user) },
+      }).select("firstName lastName employeeId role");
+
+      const byRule = rules.map((ruleKey) => {
+        const counted = result.byRule.find(({ _id }) => _id === ruleKey);
+        return { rule: ruleKey, count: counted ? counted.count : 0 };
+      });
+      const totalConflicts = byRule.reduce((sum, { count }) => sum + count, 0);
+
+      res.json({
+        success: true,
+        data: {
+          conflicts: result.page.map(({ conflict, ...advance }) => ({
+            rule: conflict.rule,
+            user:
+              users.find(
+                (user) => String(user._id) === String(conflict.user)
+              ) || conflict.user,
+            description: SOD_RULES[conflict.rule].description,
+            advance,
+          })),
+          summary: {
+            totalConflicts,
+            byRule,
+          },
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalConflicts / parseInt(limit)),
+            totalConflicts,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get SoD conflicts error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error generating segregation-of-duties report",
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,170 @@
+// routes/rolePermissions.js
+const express = require("express");
+const {
+  authenticate,
+  requirePermission,
+  requireStepUp,
+} = require("../middleware/auth");
+const { validateRolePermissions } = require("../middleware/validation");
+const { recordAudit } = require("../services/audit");
+const {
+  PERMISSIONS,
+  ROLES,
+  isKnownPermission,
+  getRolePermissions,
+  listRolePermissions,
+  setRolePermissions,
+  resetRolePermissions,
+} = require("../services/permissions");
+
+const router = express.Router();
+
+// Checks :role, sending a 404 for roles that do not exist
+const findRole = (req, res) => {
+  if (!ROLES.includes(req.params.role)) {
+    res.status(404).json({
+      success: false,
+      message: "Role not found",
+    });
+    return null;
+  }
+
+  return req.params.role;
+};
+
+// @route   GET /api/role-permissions
+// @desc    Get the permission catalogue and each role's permissions
+// @access  Private (role.manage)
+router.get(
+  "/",
+  authenticate,
+  requirePermission("role.manage"),
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: {
+          permissions: Object.entries(PERMISSIONS).map(
+            ([key, description]) => ({ key, description })
+          ),
+          roles: await listRolePermissions(),
+        },
+      });
+    } catch (error) {
+      console.error("Get role permissions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching role permissions",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/role-permissions/:role
+// @desc    Replace the permissions granted to a role
+// @access  Private (role.manage, recently re-authenticated)
+router.put(
+  "/:role",
+  authenticate,
+  requirePermission("role.manage"),
+  requireStepUp,
+  validateRolePermissions,
+  async (req, res) => {
+    try {
+      const role = findRole(req, res);
+      if (!role) return;
+
+      const { permissions } = req.body;
+      const unknown = permissions.filter(
+        (permission) => !isKnownPermission(permission)
+      );
+
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown permissions: ${unknown.join(", ")}`,
+        });
+      }
+
+      // Keep at least one way back into this screen
+      if (role === "admin" && !permissions.includes("role.manage")) {
+        return res.status(400).json({
+          success: false,
+          message: "The admin role must keep the role.manage permission",
+        });
+      }
+
+      const before = await getRolePermissions(role);
+      const mapping = await setRolePermissions(role, permissions, req.user.id);
+
+      await recordAudit(req, {
+        action: "role_permission.update",
+        targetType: "RolePermission",
+        targetId: mapping._id,
+        before: { role, permissions: before },
+        after: { role, permissions: mapping.permissions },
+      });
+
+      res.json({
+        success: true,
+        message: `Permissions for the ${role} role updated successfully`,
+        data: { role, permissions: mapping.permissions },
+      });
+    } catch (error) {
+      console.error("Update role permissions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating role permissions",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/role-permissions/:role
+// @desc    Put a role back on its default permissions
+// @access  Private (role.manage, recently re-authenticated)
+router.delete(
+  "/:role",
+  authenticate,
+  requirePermission("role.manage"),
+  requireStepUp,
+  async (req, res) => {
+    try {
+      const role = findRole(req, res);
+      if (!role) return;
+
+      const mapping = await resetRolePermissions(role);
+
+      if (!mapping) {
+        return res.status(400).json({
+          success: false,
+          message: `The ${role} role already uses the default permissions`,
+        });
+      }
+
+      const permissions = await getRolePermissions(role);
+
+      await recordAudit(req, {
+        action: "role_permission.reset",
+        targetType: "RolePermission",
+        targetId: mapping._id,
+        before: { role, permissions: mapping.permissions },
+        after: { role, permissions },
+      });
+
+      res.json({
+        success: true,
+        message: `Permissions for the ${role} role reset to the defaults`,
+        data: { role, permissions },
+      });
+    } catch (error) {
+      console.error("Reset role permissions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error resetting role permissions",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// routes/sodRules.js
+const express = require("express");
+const SodRule = require("../models/SodRule");
+const {
+  authenticate,
+  requirePermission,
+  requireStepUp,
+} = require("../middleware/auth");
+const { validateSodRule } = require("../middleware/validation");
+const { snapshot, recordAudit } = require("../services/audit");
+const { SOD_RULES, listSodRules } = require("../services/segregationOfDuties");
+
+const router = express.Router();
+
+// @route   GET /api/sod-rules
+// @desc    Get the segregation-of-duties rules and whether each is enforced
+// @access  Private (sod.manage)
+router.get(
+  "/",
+  authenticate,
+  requirePermission("sod.manage"),
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: { rules: await listSodRules() },
+      });
+    } catch (error) {
+      console.error("Get SoD rules error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching segregation-of-duties rules",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/sod-rules/:rule
+// @desc    Enforce or stop enforcing a segregation-of-duties rule
+// @access  Private (sod.manage, recently re-authenticated)
+router.put(
+  "/:rule",
+  authenticate,
+  requirePermission("sod.manage"),
+  requireStepUp,
+  validateSodRule,
+  async (req, res) => {
+    try {
+      const { rule } = req.params;
+
+      if (!SOD_RULES[rule]) {
+        return res.status(404).json({
+          success: false,
+          message: "Segregation-of-duties rule not found",
+        });
+      }
+
+      const setting =
+        (await SodRule.findOne({ rule })) || new SodRule({ rule });
+      const before = snapshot(setting);
+
+      setting.isEnabled = req.body.isEnabled;
+      setting.updatedBy = req.user.id;
+      await setting.save();
+
+      await recordAudit(req, {
+        action: "sod_rule.update",
+        targetType: "SodRule",
+        targetId: setting._id,
+        before,
+        after: snapshot(setting),
+      });
+
+      res.json({
+        success: true,
+        message: setting.isEnabled
+          ? "Segregation-of-duties rule is now enforced"
+          : "Segregation-of-duties rule is no longer enforced",
+        data: { rule: setting },
+      });
+    } catch (error) {
+      console.error("Update SoD rule error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating segregation-of-duties rule",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,259 @@
+// routes/twoFactor.js
+const express = require("express");
+const { authenticateForTwoFactorSetup } = require("../middleware/auth");
+const {
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  findWithSecrets,
+  startSetup,
+  confirmSetup,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  clearTwoFactor,
+} = require("../services/twoFactor");
+const {
+  isLocked,
+  getLockRemainingMinutes,
+  recordLoginAttempt,
+  registerFailedLogin,
+  resetFailedLogins,
+} = require("../services/loginProtection");
+const { recordAudit } = require("../services/audit");
+
+const router = express.Router();
+
+// Wrong passwords and codes on the routes that change two-factor settings
+// count towards the login lockout, as they do at step-up, so they cannot be
+// used to guess codes
+const registerFailedConfirmation = async (req, user) => {
+  await recordLoginAttempt(req, {
+    user,
+    email: user.email,
+    success: false,
+    reason: "invalid_step_up",
+  });
+  await registerFailedLogin(user);
+};
+
+// Every route here must stay reachable before enrolment
+router.use(authenticateForTwoFactorSetup);
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's two-factor status
+// @access  Private
+router.get("/", async (req, res) => {
+  try {
+    const user = await findWithSecrets(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: isTwoFactorEnabled(user),
+        required: isTwoFactorRequired(user),
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).length,
+      },
+    });
+  } catch (error) {
+    console.error("Two-factor status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching two-factor status",
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolment and get the provisioning URI for the QR code
+// @access  Private
+router.post("/setup", async (req, res) => {
+  try {
+    const user = await findWithSecrets(req.user._id);
+
+    if (isTwoFactorEnabled(user)) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const { secret, otpauthUri } = startSetup(user);
+    await user.save();
+
+    res.json({
+      success: true,
+      message:
+        "Scan the QR code with your authenticator app, then confirm with a code",
+      data: { secret, otpauthUri },
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error starting two-factor setup",
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code and receive recovery codes
+// @access  Private
+router.post("/enable", async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await findWithSecrets(req.user._id);
+
+    if (isTwoFactorEnabled(user)) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const recoveryCodes = confirmSetup(user, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Invalid authentication code. Start setup again if the problem persists.",
+      });
+    }
+
+    await user.save();
+    await recordAudit(req, {
+      action: "user.two_factor_enable",
+      targetType: "User",
+      targetId: user._id,
+    });
+
+    res.json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error("Two-factor enable error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error enabling two-factor authentication",
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off
+// @access  Private
+router.post("/disable", async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await findWithSecrets(req.user._id);
+
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is required for your role",
+      });
+    }
+
+    if (isLocked(user)) {
+      return res.status(423).json({
+        success: false,
+        message: `Account is temporarily locked after too many failed attempts. Try again in ${getLockRemainingMinutes(
+          user
+        )} minute(s) or contact an administrator.`,
+      });
+    }
+
+    const passwordMatches =
+      Boolean(password) && (await user.comparePassword(password));
+
+    if (!passwordMatches || !verifySecondFactor(user, { code, recoveryCode })) {
+      await registerFailedConfirmation(req, user);
+
+      return res.status(400).json({
+        success: false,
+        message: "Password or authentication code is incorrect",
+      });
+    }
+
+    clearTwoFactor(user);
+    resetFailedLogins(user);
+    await user.save();
+    await recordAudit(req, {
+      action: "user.two_factor_disable",
+      targetType: "User",
+      targetId: user._id,
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("Two-factor disable error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error disabling two-factor authentication",
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes
+// @access  Private
+router.post("/recovery-codes", async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await findWithSecrets(req.user._id);
+
+    if (isLocked(user)) {
+      return res.status(423).json({
+        success: false,
+        message: `Account is temporarily locked after too many failed attempts. Try again in ${getLockRemainingMinutes(
+          user
+        )} minute(s) or contact an administrator.`,
+      });
+    }
+
+    if (!verifySecondFactor(user, { code })) {
+      await registerFailedConfirmation(req, user);
+
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes(user);
+    resetFailedLogins(user);
+    await user.save();
+    await recordAudit(req, {
+      action: "user.recovery_codes_regenerate",
+      targetType: "User",
+      targetId: user._id,
+    });
+
+    res.json({
+      success: true,
+      message: "New recovery codes generated. The old ones no longer work.",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error("Recovery codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating recovery codes",
+    });
+  }
+});
+
+module.exports = router;
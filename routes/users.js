@@ -1,18 +1,38 @@
 // routes/users.js
 const express = require("express");
 const User = require("../models/User");
-const { authenticate, authorize, isAdmin } = require("../middleware/auth");
+const Department = require("../models/Department");
+const LoginHistory = require("../models/LoginHistory");
+const {
+  authenticate,
+  requirePermission,
+  requireStepUp,
+} = require("../middleware/auth");
 const { validateProfileUpdate } = require("../middleware/validation");
+const { snapshot, recordAudit } = require("../services/audit");
+const { revokeAllSessions } = require("../services/session");
+const { hasPermission } = require("../services/permissions");
+const { clearTwoFactor } = require("../services/twoFactor");
+const {
+  buildOrgChart,
+  wouldCreateCycle,
+} = require("../services/orgHierarchy");
 
 const router = express.Router();
 
+// Profile fields only users with user.manage may change, including on their
+// own profile: the department decides which budget a user's advances are
+// charged to and which department head approves them, and the position
+// picks the advance policy limits that apply to them
+const MANAGED_PROFILE_FIELDS = ["department", "position"];
+
 // @route   GET /api/users
 // @desc    Get all users (with pagination and filtering)
-// @access  Private (Admin/Manager)
+// @access  Private (user.view)
 router.get(
   "/",
   authenticate,
-  authorize("admin", "manager", "finance"),
+  requirePermission("user.view"),
   async (req, res) => {
     try {
       const {
@@ -32,7 +52,9 @@ router.get(
       }
 
       if (department && department !== "all") {
-        filter.department = new RegExp(department, "i");
+        const filterDepartment = await Department.findByIdOrCode(department);
+        // An unknown department matches no users
+        filter.department = filterDepartment ? filterDepartment._id : null;
       }
 
       if (isActive !== "all") {
@@ -54,6 +76,7 @@ router.get(
       // Get users with pagination
       const users = await User.find(filter)
         .select("-password")
+        .populate("department", "code name costCenter")
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit));
@@ -85,12 +108,49 @@ router.get(
   }
 );
 
+// @route   GET /api/users/org-chart
+// @desc    Get the reporting hierarchy, optionally below one user
+// @access  Private (user.view)
+router.get(
+  "/org-chart",
+  authenticate,
+  requirePermission("user.view"),
+  async (req, res) => {
+    try {
+      const { root } = req.query;
+
+      const chart = await buildOrgChart(root);
+
+      if (root && chart.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { chart },
+      });
+    } catch (error) {
+      console.error("Org chart error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching org chart",
+      });
+    }
+  }
+);
+
 // @route   GET /api/users/:id
 // @desc    Get single user by ID
 // @access  Private
 router.get("/:id", authenticate, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await User.findById(req.params.id).populate(
+      "department",
+      "code name costCenter"
+    );
 
     if (!user) {
       return res.status(404).json({
@@ -99,10 +159,10 @@ router.get("/:id", authenticate, async (req, res) => {
       });
     }
 
-    // Users can only view their own profile unless they're admin/manager
+    // Users can only view their own profile without user.view
     if (
       req.user.id !== req.params.id &&
-      !["admin", "manager", "finance"].includes(req.user.role)
+      !(await hasPermission(req.user, "user.view"))
     ) {
       return res.status(403).json({
         success: false,
@@ -131,15 +191,27 @@ router.get("/:id", authenticate, async (req, res) => {
 router.put("/:id", authenticate, validateProfileUpdate, async (req, res) => {
   try {
     const userId = req.params.id;
+    const canManageUsers = await hasPermission(req.user, "user.manage");
 
-    // Users can only update their own profile unless they're admin
-    if (req.user.id !== userId && req.user.role !== "admin") {
+    // Users can only update their own profile without user.manage
+    if (req.user.id !== userId && !canManageUsers) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
       });
     }
 
+    const managedField = MANAGED_PROFILE_FIELDS.find(
+      (field) => req.body[field] !== undefined
+    );
+
+    if (managedField && !canManageUsers) {
+      return res.status(403).json({
+        success: false,
+        message: `Only users with user.manage can change ${managedField}`,
+      });
+    }
+
     const user = await User.findById(userId);
 
     if (!user) {
@@ -165,12 +237,34 @@ router.put("/:id", authenticate, validateProfileUpdate, async (req, res) => {
       }
     });
 
+    // Department may be given by ID or by code
+    if (updates.department !== undefined) {
+      const department = await Department.findByIdOrCode(updates.department);
+
+      if (!department || !department.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+
+      updates.department = department._id;
+    }
+
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       { $set: updates },
       { new: true, runValidators: true }
     );
 
+    await recordAudit(req, {
+      action: "user.update",
+      targetType: "User",
+      targetId: user._id,
+      before: snapshot(user),
+      after: snapshot(updatedUser),
+    });
+
     res.json({
       success: true,
       message: "Profile updated successfully",
@@ -188,125 +282,455 @@ router.put("/:id", authenticate, validateProfileUpdate, async (req, res) => {
 });
 
 // @route   PUT /api/users/:id/role
-// @desc    Update user role (Admin only)
-// @access  Private (Admin only)
-router.put("/:id/role", authenticate, isAdmin, async (req, res) => {
-  try {
-    const { role } = req.body;
+// @desc    Update user role
+// @access  Private (user.manage, recently re-authenticated)
+router.put(
+  "/:id/role",
+  authenticate,
+  requirePermission("user.manage"),
+  requireStepUp,
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+
+      if (!["staff", "manager", "finance", "admin"].includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid role specified",
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const before = snapshot(user);
+      user.role = role;
+      await user.save();
 
-    if (!["staff", "manager", "finance", "admin"].includes(role)) {
-      return res.status(400).json({
+      await recordAudit(req, {
+        action: "user.role_update",
+        targetType: "User",
+        targetId: user._id,
+        before,
+        after: snapshot(user),
+      });
+
+      res.json({
+        success: true,
+        message: "User role updated successfully",
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      console.error("Update role error:", error);
+      res.status(500).json({
         success: false,
-        message: "Invalid role specified",
+        message: "Error updating user role",
       });
     }
+  }
+);
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { role },
-      { new: true, runValidators: true }
-    );
+// @route   PUT /api/users/:id/approval-authorities
+// @desc    Set the extra approval levels a user holds
+// @access  Private (user.manage, recently re-authenticated)
+router.put(
+  "/:id/approval-authorities",
+  authenticate,
+  requirePermission("user.manage"),
+  requireStepUp,
+  async (req, res) => {
+    try {
+      const { approvalAuthorities } = req.body;
+      const validAuthorities = ["department_head", "finance_director"];
+
+      if (
+        !Array.isArray(approvalAuthorities) ||
+        !approvalAuthorities.every((authority) =>
+          validAuthorities.includes(authority)
+        )
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `approvalAuthorities must be a list of: ${validAuthorities.join(
+            ", "
+          )}`,
+        });
+      }
 
-    if (!user) {
-      return res.status(404).json({
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const before = snapshot(user);
+      user.approvalAuthorities = [...new Set(approvalAuthorities)];
+      await user.save();
+
+      await recordAudit(req, {
+        action: "user.approval_authorities_update",
+        targetType: "User",
+        targetId: user._id,
+        before,
+        after: snapshot(user),
+      });
+
+      res.json({
+        success: true,
+        message: "Approval authorities updated successfully",
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      console.error("Update approval authorities error:", error);
+      res.status(500).json({
         success: false,
-        message: "User not found",
+        message: "Error updating approval authorities",
       });
     }
-
-    res.json({
-      success: true,
-      message: "User role updated successfully",
-      data: {
-        user,
-      },
-    });
-  } catch (error) {
-    console.error("Update role error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error updating user role",
-    });
   }
-});
+);
 
 // @route   PUT /api/users/:id/status
-// @desc    Activate/Deactivate user (Admin only)
-// @access  Private (Admin only)
-router.put("/:id/status", authenticate, isAdmin, async (req, res) => {
-  try {
-    const { isActive } = req.body;
+// @desc    Activate/Deactivate user
+// @access  Private (user.manage)
+router.put(
+  "/:id/status",
+  authenticate,
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const { isActive } = req.body;
+
+      if (typeof isActive !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: "isActive must be a boolean value",
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const before = snapshot(user);
+      user.isActive = isActive;
+      await user.save();
+
+      // A deactivated user is signed out everywhere straight away
+      if (!isActive) {
+        await revokeAllSessions(user._id, { reason: "deactivated" });
+      }
 
-    if (typeof isActive !== "boolean") {
-      return res.status(400).json({
+      await recordAudit(req, {
+        action: isActive ? "user.activate" : "user.deactivate",
+        targetType: "User",
+        targetId: user._id,
+        before,
+        after: snapshot(user),
+      });
+
+      res.json({
+        success: true,
+        message: `User ${isActive ? "activated" : "deactivated"} successfully`,
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      console.error("Update status error:", error);
+      res.status(500).json({
         success: false,
-        message: "isActive must be a boolean value",
+        message: "Error updating user status",
       });
     }
+  }
+);
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { isActive },
-      { new: true }
-    );
+// @route   PUT /api/users/:id/manager
+// @desc    Set or clear a user's line manager
+// @access  Private (user.manage)
+router.put(
+  "/:id/manager",
+  authenticate,
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const { managerId = null } = req.body;
 
-    if (!user) {
-      return res.status(404).json({
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (managerId) {
+        const manager = await User.findOne({ _id: managerId, isActive: true });
+
+        if (!manager) {
+          return res.status(400).json({
+            success: false,
+            message: "Manager not found or inactive",
+          });
+        }
+
+        if (await wouldCreateCycle(user._id, manager._id)) {
+          return res.status(400).json({
+            success: false,
+            message:
+              "A user cannot report to themselves or to one of their reports",
+          });
+        }
+      }
+
+      const before = snapshot(user);
+      user.managerId = managerId;
+      await user.save();
+
+      await recordAudit(req, {
+        action: "user.manager_update",
+        targetType: "User",
+        targetId: user._id,
+        before,
+        after: snapshot(user),
+      });
+
+      await user.populate("managerId", "firstName lastName email position");
+
+      res.json({
+        success: true,
+        message: "Line manager updated successfully",
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      console.error("Update manager error:", error);
+      res.status(500).json({
         success: false,
-        message: "User not found",
+        message: "Error updating line manager",
       });
     }
+  }
+);
 
-    res.json({
-      success: true,
-      message: `User ${isActive ? "activated" : "deactivated"} successfully`,
-      data: {
-        user,
-      },
-    });
-  } catch (error) {
-    console.error("Update status error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error updating user status",
-    });
+// @route   PUT /api/users/:id/2fa/reset
+// @desc    Remove a user's two-factor enrolment, e.g. after a lost device
+// @access  Private (user.manage, recently re-authenticated)
+router.put(
+  "/:id/2fa/reset",
+  authenticate,
+  requirePermission("user.manage"),
+  requireStepUp,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      clearTwoFactor(user);
+      await user.save();
+
+      // Sessions started with the old factor are ended
+      await revokeAllSessions(user._id, { reason: "revoked" });
+
+      await recordAudit(req, {
+        action: "user.two_factor_reset",
+        targetType: "User",
+        targetId: user._id,
+      });
+
+      res.json({
+        success: true,
+        message:
+          "Two-factor authentication reset. The user must enrol again at next login if their role requires it.",
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      console.error("Reset two-factor error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error resetting two-factor authentication",
+      });
+    }
   }
-});
+);
 
-// @route   DELETE /api/users/:id
-// @desc    Delete user (Admin only)
-// @access  Private (Admin only)
-router.delete("/:id", authenticate, isAdmin, async (req, res) => {
-  try {
-    const user = await User.findByIdAndDelete(req.params.id);
+// @route   PUT /api/users/:id/unlock
+// @desc    Clear a login lockout
+// @access  Private (user.manage)
+router.put(
+  "/:id/unlock",
+  authenticate,
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
 
-    if (!user) {
-      return res.status(404).json({
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const before = snapshot(user);
+      user.failedLoginAttempts = 0;
+      user.lockedUntil = undefined;
+      await user.save();
+
+      await recordAudit(req, {
+        action: "user.unlock",
+        targetType: "User",
+        targetId: user._id,
+        before,
+        after: snapshot(user),
+      });
+
+      res.json({
+        success: true,
+        message: "User account unlocked successfully",
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      console.error("Unlock user error:", error);
+      res.status(500).json({
         success: false,
-        message: "User not found",
+        message: "Error unlocking user account",
       });
     }
+  }
+);
 
-    res.json({
-      success: true,
-      message: "User deleted successfully",
-    });
-  } catch (error) {
-    console.error("Delete user error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error deleting user",
-    });
+// @route   GET /api/users/:id/login-history
+// @desc    Get a user's recent sign-in attempts
+// @access  Private (user.manage)
+router.get(
+  "/:id/login-history",
+  authenticate,
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, success } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = { user: req.params.id };
+      if (success === "true" || success === "false") {
+        filter.success = success === "true";
+      }
+
+      const [history, total] = await Promise.all([
+        LoginHistory.find(filter)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        LoginHistory.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          history,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalEntries: total,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get login history error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching login history",
+      });
+    }
   }
-});
+);
+
+// @route   DELETE /api/users/:id
+// @desc    Delete user
+// @access  Private (user.manage)
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findByIdAndDelete(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      await revokeAllSessions(user._id, { reason: "deactivated" });
+
+      // Keep the reporting line intact: direct reports move up a level
+      await User.updateMany(
+        { managerId: user._id },
+        { $set: { managerId: user.managerId || null } }
+      );
+
+      await recordAudit(req, {
+        action: "user.delete",
+        targetType: "User",
+        targetId: user._id,
+        before: snapshot(user),
+      });
+
+      res.json({
+        success: true,
+        message: "User deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete user error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deleting user",
+      });
+    }
+  }
+);
 
 // @route   GET /api/users/roles/summary
 // @desc    Get user count by roles
-// @access  Private (Admin/Manager)
+// @access  Private (user.view)
 router.get(
   "/roles/summary",
   authenticate,
-  authorize("admin", "manager"),
+  requirePermission("user.view"),
   async (req, res) => {
     try {
       const summary = await User.aggregate([
@@ -0,0 +1,411 @@
+// routes/webhooks.js
+const express = require("express");
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const {
+  authenticate,
+  requirePermission,
+  requireStepUp,
+} = require("../middleware/auth");
+const { validateWebhook } = require("../middleware/validation");
+const { snapshot, recordAudit } = require("../services/audit");
+const { generateSecret, replayDelivery } = require("../services/webhooks");
+
+const router = express.Router();
+
+const WEBHOOK_FIELDS = ["name", "url", "events", "description", "isActive"];
+
+// The signing secret must never reach the audit log
+const webhookSnapshot = (webhook) => {
+  const plain = snapshot(webhook);
+  delete plain.secret;
+  return plain;
+};
+
+// @route   GET /api/webhooks
+// @desc    Get all registered webhooks
+// @access  Private (webhook.manage)
+router.get(
+  "/",
+  authenticate,
+  requirePermission("webhook.manage"),
+  async (req, res) => {
+    try {
+      const { isActive = "all" } = req.query;
+
+      const filter = {};
+      if (isActive !== "all") {
+        filter.isActive = isActive === "true";
+      }
+
+      const webhooks = await Webhook.find(filter)
+        .populate("createdBy", "firstName lastName")
+        .populate("updatedBy", "firstName lastName")
+        .sort({ name: 1 });
+
+      res.json({
+        success: true,
+        data: { webhooks },
+      });
+    } catch (error) {
+      console.error("Get webhooks error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching webhooks",
+      });
+    }
+  }
+);
+
+// @route   GET /api/webhooks/:id
+// @desc    Get a single webhook with its delivery totals
+// @access  Private (webhook.manage)
+router.get(
+  "/:id",
+  authenticate,
+  requirePermission("webhook.manage"),
+  async (req, res) => {
+    try {
+      const webhook = await Webhook.findById(req.params.id)
+        .populate("createdBy", "firstName lastName")
+        .populate("updatedBy", "firstName lastName");
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          message: "Webhook not found",
+        });
+      }
+
+      const totals = await WebhookDelivery.aggregate([
+        { $match: { webhook: webhook._id } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]);
+
+      const deliveryStats = { pending: 0, sending: 0, delivered: 0, failed: 0 };
+      totals.forEach((total) => {
+        deliveryStats[total._id] = total.count;
+      });
+
+      res.json({
+        success: true,
+        data: { webhook, deliveryStats },
+      });
+    } catch (error) {
+      console.error("Get webhook error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching webhook",
+      });
+    }
+  }
+);
+
+// @route   POST /api/webhooks
+// @desc    Register a webhook; the signing secret is only returned here
+// @access  Private (webhook.manage, recently re-authenticated)
+router.post(
+  "/",
+  authenticate,
+  requirePermission("webhook.manage"),
+  requireStepUp,
+  validateWebhook,
+  async (req, res) => {
+    try {
+      const webhook = new Webhook({
+        secret: generateSecret(),
+        createdBy: req.user.id,
+      });
+
+      WEBHOOK_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          webhook[field] = req.body[field];
+        }
+      });
+
+      await webhook.save();
+      await recordAudit(req, {
+        action: "webhook.create",
+        targetType: "Webhook",
+        targetId: webhook._id,
+        after: webhookSnapshot(webhook),
+      });
+
+      res.status(201).json({
+        success: true,
+        message:
+          "Webhook registered successfully. Store the secret now; it will not be shown again.",
+        data: { webhook, secret: webhook.secret },
+      });
+    } catch (error) {
+      console.error("Create webhook error:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error registering webhook",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update a webhook's endpoint, event filter or status
+// @access  Private (webhook.manage, recently re-authenticated)
+router.put(
+  "/:id",
+  authenticate,
+  requirePermission("webhook.manage"),
+  requireStepUp,
+  validateWebhook,
+  async (req, res) => {
+    try {
+      const webhook = await Webhook.findById(req.params.id);
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          message: "Webhook not found",
+        });
+      }
+
+      const before = webhookSnapshot(webhook);
+
+      WEBHOOK_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          webhook[field] = req.body[field];
+        }
+      });
+      webhook.updatedBy = req.user.id;
+
+      await webhook.save();
+      await recordAudit(req, {
+        action: "webhook.update",
+        targetType: "Webhook",
+        targetId: webhook._id,
+        before,
+        after: webhookSnapshot(webhook),
+      });
+
+      res.json({
+        success: true,
+        message: "Webhook updated successfully",
+        data: { webhook },
+      });
+    } catch (error) {
+      console.error("Update webhook error:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error updating webhook",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook; deliveries still queued for it are dropped
+// @access  Private (webhook.manage)
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("webhook.manage"),
+  async (req, res) => {
+    try {
+      const webhook = await Webhook.findByIdAndDelete(req.params.id);
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          message: "Webhook not found",
+        });
+      }
+
+      await WebhookDelivery.updateMany(
+        { webhook: webhook._id, status: "pending" },
+        { status: "failed", error: "Webhook has been deleted or deactivated" }
+      );
+
+      await recordAudit(req, {
+        action: "webhook.delete",
+        targetType: "Webhook",
+        targetId: webhook._id,
+        before: webhookSnapshot(webhook),
+      });
+
+      res.json({
+        success: true,
+        message: "Webhook deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete webhook error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error deleting webhook",
+      });
+    }
+  }
+);
+
+// @route   POST /api/webhooks/:id/rotate-secret
+// @desc    Replace a webhook's signing secret; only returned in this response
+// @access  Private (webhook.manage, recently re-authenticated)
+router.post(
+  "/:id/rotate-secret",
+  authenticate,
+  requirePermission("webhook.manage"),
+  requireStepUp,
+  async (req, res) => {
+    try {
+      const webhook = await Webhook.findById(req.params.id);
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          message: "Webhook not found",
+        });
+      }
+
+      webhook.secret = generateSecret();
+      webhook.updatedBy = req.user.id;
+      await webhook.save();
+
+      await recordAudit(req, {
+        action: "webhook.rotate_secret",
+        targetType: "Webhook",
+        targetId: webhook._id,
+      });
+
+      res.json({
+        success: true,
+        message:
+          "Signing secret rotated. Store the new secret now; it will not be shown again.",
+        data: { webhook, secret: webhook.secret },
+      });
+    } catch (error) {
+      console.error("Rotate webhook secret error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error rotating webhook secret",
+      });
+    }
+  }
+);
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Get a webhook's delivery log, newest first
+// @access  Private (webhook.manage)
+router.get(
+  "/:id/deliveries",
+  authenticate,
+  requirePermission("webhook.manage"),
+  async (req, res) => {
+    try {
+      const { status = "all", event, page = 1, limit = 20 } = req.query;
+
+      const filter = { webhook: req.params.id };
+      if (status !== "all") {
+        filter.status = status;
+      }
+      if (event) {
+        filter.event = event;
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+          .populate("advance", "requestNumber")
+          .populate("replayedBy", "firstName lastName")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        WebhookDelivery.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          deliveries,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalDeliveries: total,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get webhook deliveries error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error fetching webhook deliveries",
+      });
+    }
+  }
+);
+
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/replay
+// @desc    Send a past delivery's payload again, with the same event id
+// @access  Private (webhook.manage)
+router.post(
+  "/:id/deliveries/:deliveryId/replay",
+  authenticate,
+  requirePermission("webhook.manage"),
+  async (req, res) => {
+    try {
+      const webhook = await Webhook.findById(req.params.id);
+      const delivery =
+        webhook &&
+        (await WebhookDelivery.findOne({
+          _id: req.params.deliveryId,
+          webhook: webhook._id,
+        }));
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: "Webhook delivery not found",
+        });
+      }
+
+      if (!webhook.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: "Activate the webhook before replaying deliveries",
+        });
+      }
+
+      const replay = await replayDelivery(delivery, req.user);
+
+      res.status(201).json({
+        success: true,
+        message:
+          replay.status === "delivered"
+            ? "Delivery replayed successfully"
+            : "Replay queued; the endpoint did not accept it and it will be retried",
+        data: { delivery: replay },
+      });
+    } catch (error) {
+      console.error("Replay webhook delivery error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error replaying webhook delivery",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+// scripts/backfill-advance-departments.js
+//
+// One-off migration that records a department on advances made before
+// Advance.department existed, so department budgets count them. The
+// requester's department at the time was never stored, so their current one
+// is used. Safe to re-run: advances that already have a department are left
+// alone.
+//
+// Run this after scripts/migrate-departments.js.
+//
+// Usage: node scripts/backfill-advance-departments.js [--dry-run]
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Advance = require("../models/Advance");
+const User = require("../models/User");
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const backfill = async () => {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/cashadvance"
+  );
+  console.log("✅ MongoDB connected successfully");
+
+  const requesterIds = await Advance.distinct("requester", {
+    department: null,
+  });
+  const requesters = await User.find({ _id: { $in: requesterIds } }).select(
+    "department"
+  );
+
+  const result = { updated: 0, unresolved: [] };
+
+  for (const requesterId of requesterIds) {
+    const requester = requesters.find(
+      (user) => String(user._id) === String(requesterId)
+    );
+
+    if (!requester || !requester.department) {
+      result.unresolved.push(requesterId);
+      continue;
+    }
+
+    const filter = { requester: requesterId, department: null };
+
+    if (DRY_RUN) {
+      result.updated += await Advance.countDocuments(filter);
+    } else {
+      const update = await Advance.updateMany(
+        filter,
+        { $set: { department: requester.department } },
+        { timestamps: false }
+      );
+      result.updated += update.modifiedCount;
+    }
+  }
+
+  console.log(
+    `${DRY_RUN ? "[dry run] " : ""}Advances given a department: ${
+      result.updated
+    }`
+  );
+
+  result.unresolved.forEach((requesterId) => {
+    console.log(
+      `⚠️  Requester ${requesterId} has no department; their advances are not counted against any budget`
+    );
+  });
+
+  return result;
+};
+
+backfill()
+  .catch((error) => {
+    console.error("❌ Backfill error:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
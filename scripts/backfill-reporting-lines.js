@@ -0,0 +1,81 @@
+// scripts/backfill-reporting-lines.js
+//
+// One-off migration that seeds User.managerId from the old department-based
+// teams: staff with no line manager are assigned to their department's
+// manager. Departments with no manager, or with more than one, are listed for
+// an admin to sort out through PUT /api/users/:id/manager. Safe to re-run:
+// users that already have a line manager are left alone.
+//
+// Usage: node scripts/backfill-reporting-lines.js [--dry-run]
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const User = require("../models/User");
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const backfill = async () => {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/cashadvance"
+  );
+  console.log("✅ MongoDB connected successfully");
+
+  const managers = await User.find({ role: "manager", isActive: true }).select(
+    "firstName lastName department"
+  );
+
+  const managersByDepartment = new Map();
+  managers.forEach((manager) => {
+    const key = String(manager.department);
+    const list = managersByDepartment.get(key) || [];
+    list.push(manager);
+    managersByDepartment.set(key, list);
+  });
+
+  const departments = await User.distinct("department", {
+    role: "staff",
+    managerId: null,
+  });
+
+  const result = { assigned: 0, unresolved: [] };
+
+  for (const department of departments) {
+    const candidates = managersByDepartment.get(String(department)) || [];
+
+    if (candidates.length !== 1) {
+      result.unresolved.push({ department, managers: candidates.length });
+      continue;
+    }
+
+    const filter = { department, role: "staff", managerId: null };
+
+    if (DRY_RUN) {
+      result.assigned += await User.countDocuments(filter);
+    } else {
+      const update = await User.updateMany(filter, {
+        $set: { managerId: candidates[0]._id },
+      });
+      result.assigned += update.modifiedCount;
+    }
+  }
+
+  console.log(
+    `${DRY_RUN ? "[dry run] " : ""}Assigned line managers: ${result.assigned}`
+  );
+
+  result.unresolved.forEach(({ department, managers: count }) => {
+    console.log(
+      `⚠️  Department "${department}" has ${count} active managers; assign its staff manually`
+    );
+  });
+
+  return result;
+};
+
+backfill()
+  .catch((error) => {
+    console.error("❌ Backfill error:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,163 @@
+// scripts/migrate-cash-advances.js
+//
+// One-off migration that copies legacy CashAdvance documents into the
+// canonical Advance collection. Safe to re-run: documents that were already
+// migrated (matched on Advance.legacyId) are skipped.
+//
+// Usage: node scripts/migrate-cash-advances.js [--dry-run]
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Advance = require("../models/Advance");
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// CashAdvance only knew a single "approved" state, which is the manager stage
+const STATUS_MAP = {
+  pending: "pending",
+  approved: "manager_approved",
+  finance_approved: "finance_approved",
+  disbursed: "disbursed",
+  rejected: "rejected",
+  retired: "retired",
+};
+
+const buildApprovals = (legacy) => {
+  const approvals = [];
+
+  if (legacy.approvedBy) {
+    approvals.push({
+      approver: legacy.approvedBy,
+      role: "manager",
+      status: "approved",
+      date: legacy.approvedAt || legacy.updatedAt,
+    });
+  }
+
+  if (legacy.financeApprovedBy) {
+    approvals.push({
+      approver: legacy.financeApprovedBy,
+      role: "finance",
+      status: "approved",
+      comment: legacy.financeComment,
+      date: legacy.financeApprovedAt || legacy.updatedAt,
+    });
+  }
+
+  if (legacy.rejectedBy) {
+    approvals.push({
+      approver: legacy.rejectedBy,
+      // A rejection after manager approval can only have come from finance
+      role: legacy.approvedBy ? "finance" : "manager",
+      status: "rejected",
+      comment: legacy.rejectedReason,
+      date: legacy.rejectedAt || legacy.updatedAt,
+    });
+  }
+
+  return approvals;
+};
+
+const toAdvance = (legacy) => {
+  const advance = new Advance({
+    requester: legacy.user,
+    amount: legacy.amount,
+    purpose: legacy.purpose,
+    description: legacy.description,
+    requestDate: legacy.createdAt,
+    dateNeeded: legacy.dateNeeded,
+    status: STATUS_MAP[legacy.status] || "pending",
+    priority: legacy.priority,
+    approvals: buildApprovals(legacy),
+    legacyId: legacy._id,
+    createdAt: legacy.createdAt,
+    updatedAt: legacy.updatedAt,
+  });
+
+  if (legacy.disbursement && legacy.disbursement.disbursedBy) {
+    advance.disbursement = {
+      disbursedBy: legacy.disbursement.disbursedBy,
+      disbursedDate: legacy.disbursement.disbursedAt,
+      disbursedAmount: legacy.disbursement.disbursedAmount,
+      method: legacy.disbursement.method,
+      reference: legacy.disbursement.reference,
+    };
+  }
+
+  if (legacy.retirement && legacy.retirement.retiredAt) {
+    const spent = legacy.retirement.totalExpenses || 0;
+
+    // Legacy retirements only kept a total, so there are no receipt lines
+    advance.retirement = {
+      retiredDate: legacy.retirement.retirementDate,
+      totalSpent: spent,
+      balanceDue: Math.max(legacy.amount - spent, 0),
+      reimbursementDue: Math.max(spent - legacy.amount, 0),
+      expenseBreakdown: legacy.retirement.expenseBreakdown,
+      retiredBy: legacy.user,
+    };
+  }
+
+  return advance;
+};
+
+const migrate = async () => {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/cashadvance"
+  );
+  console.log("✅ MongoDB connected successfully");
+
+  const legacyCollection = mongoose.connection.collection("cashadvances");
+  // Migrate oldest first so request numbers follow the original order
+  const cursor = legacyCollection.find({}).sort({ createdAt: 1 });
+
+  const result = { migrated: 0, skipped: 0, failed: 0 };
+
+  for await (const legacy of cursor) {
+    const alreadyMigrated = await Advance.exists({ legacyId: legacy._id });
+
+    if (alreadyMigrated) {
+      result.skipped += 1;
+      continue;
+    }
+
+    try {
+      const advance = toAdvance(legacy);
+
+      if (DRY_RUN) {
+        await advance.validate();
+      } else {
+        await advance.save({ timestamps: false });
+      }
+
+      result.migrated += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.error(`❌ Failed to migrate CashAdvance ${legacy._id}:`, error);
+    }
+  }
+
+  console.log(
+    `${DRY_RUN ? "[dry run] " : ""}Migrated: ${result.migrated}, ` +
+      `skipped: ${result.skipped}, failed: ${result.failed}`
+  );
+
+  if (!DRY_RUN && result.failed === 0) {
+    console.log(
+      "The legacy 'cashadvances' collection was left in place; drop it once the results have been checked."
+    );
+  }
+
+  return result;
+};
+
+migrate()
+  .then((result) => {
+    process.exitCode = result.failed > 0 ? 1 : 0;
+  })
+  .catch((error) => {
+    console.error("❌ Migration error:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,132 @@
+// scripts/migrate-departments.js
+//
+// One-off migration that turns the free-text User.department strings into
+// Department documents and points each user at one by ID. Names are matched
+// case-insensitively after trimming, so "Finance" and " finance" end up in
+// the same department. Safe to re-run: users whose department is already an
+// ID are skipped, and existing departments are reused by name.
+//
+// Run this before any other script or route that reads User.department.
+//
+// Usage: node scripts/migrate-departments.js [--dry-run]
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Department = require("../models/Department");
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const normalizeName = (name) => name.trim().replace(/\s+/g, " ");
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Short upper-case code from the name, made unique against existing codes
+const generateCode = async (name, takenCodes) => {
+  const base =
+    name
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, "")
+      .slice(0, 10) || "DEPT";
+
+  let code = base;
+  let suffix = 2;
+
+  while (takenCodes.has(code) || (await Department.exists({ code }))) {
+    code = `${base}${suffix}`;
+    suffix += 1;
+  }
+
+  takenCodes.add(code);
+  return code;
+};
+
+const migrate = async () => {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/cashadvance"
+  );
+  console.log("✅ MongoDB connected successfully");
+
+  // Read users straight from the collection: the schema now casts
+  // department to an ObjectId and would reject the old strings
+  const users = mongoose.connection.collection("users");
+  const legacyUsers = await users
+    .find({ department: { $type: "string" } })
+    .project({ department: 1 })
+    .toArray();
+
+  const userIdsByName = new Map();
+  legacyUsers.forEach((user) => {
+    const name = normalizeName(user.department);
+    const key = name.toLowerCase();
+    const entry = userIdsByName.get(key) || { name, userIds: [] };
+
+    entry.userIds.push(user._id);
+    userIdsByName.set(key, entry);
+  });
+
+  const result = { created: 0, reused: 0, usersUpdated: 0, failed: 0 };
+  const takenCodes = new Set();
+
+  for (const { name, userIds } of userIdsByName.values()) {
+    try {
+      let department = await Department.findOne({
+        name: new RegExp(`^${escapeRegExp(name)}$`, "i"),
+      });
+
+      if (department) {
+        result.reused += 1;
+      } else {
+        department = new Department({
+          code: await generateCode(name, takenCodes),
+          name,
+        });
+
+        if (DRY_RUN) {
+          await department.validate();
+        } else {
+          await department.save();
+        }
+
+        result.created += 1;
+        console.log(`Created department ${department.code} (${name})`);
+      }
+
+      if (!DRY_RUN) {
+        await users.updateMany(
+          { _id: { $in: userIds } },
+          { $set: { department: department._id } }
+        );
+      }
+
+      result.usersUpdated += userIds.length;
+    } catch (error) {
+      result.failed += 1;
+      console.error(`❌ Failed to migrate department "${name}":`, error);
+    }
+  }
+
+  console.log(
+    `${DRY_RUN ? "[dry run] " : ""}Departments created: ${result.created}, ` +
+      `reused: ${result.reused}, users updated: ${result.usersUpdated}, ` +
+      `failed: ${result.failed}`
+  );
+
+  if (result.created > 0) {
+    console.log(
+      "Generated department codes can be renamed and cost centers, heads and parents set through /api/departments."
+    );
+  }
+
+  return result;
+};
+
+migrate()
+  .then((result) => {
+    process.exitCode = result.failed > 0 ? 1 : 0;
+  })
+  .catch((error) => {
+    console.error("❌ Migration error:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
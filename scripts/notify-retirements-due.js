@@ -0,0 +1,46 @@
+// scripts/notify-retirements-due.js
+//
+// Tells employees when a disbursed advance is due for retirement within
+// RETIREMENT_DUE_NOTICE_DAYS (default 3) or is already overdue, through the
+// advance.retirement_due event. Each advance is notified once, so the script
+// is safe to run on a schedule (e.g. daily from cron). Overdue and approval
+// reminders are sent by scripts/send-reminders.js, which includes this notice.
+//
+// Usage: node scripts/notify-retirements-due.js [--dry-run]
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const { registerNotificationHandlers } = require("../services/notifications");
+const { notifyRetirementsDue } = require("../services/reminders");
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const run = async () => {
+  registerNotificationHandlers();
+
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/cashadvance"
+  );
+  console.log("✅ MongoDB connected successfully");
+
+  const due = await notifyRetirementsDue({ dryRun: DRY_RUN });
+
+  due.forEach((advance) => {
+    const dueDate = advance.expectedReturnDate.toISOString().slice(0, 10);
+    console.log(
+      `${DRY_RUN ? "Would notify" : "Notified"} ${
+        advance.requestNumber
+      } (due ${dueDate})`
+    );
+  });
+
+  console.log(`📬 ${due.length} advance(s) due for retirement`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("❌ Retirement notice error:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
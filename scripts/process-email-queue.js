@@ -0,0 +1,35 @@
+// scripts/process-email-queue.js
+//
+// Sends queued emails that are due, including retries of failed sends. The
+// API server does this itself while it is running; deployments without a
+// long-lived server (e.g. Vercel) should run this script on a schedule.
+//
+// Usage: node scripts/process-email-queue.js [--limit=200]
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const { processEmailQueue } = require("../services/emailQueue");
+
+dotenv.config();
+
+const limitArg = process.argv.find((arg) => arg.startsWith("--limit="));
+const LIMIT = limitArg ? parseInt(limitArg.split("=")[1], 10) : 200;
+
+const run = async () => {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/cashadvance"
+  );
+  console.log("✅ MongoDB connected successfully");
+
+  const { sent, failed, retrying } = await processEmailQueue({ limit: LIMIT });
+
+  console.log(
+    `📧 ${sent} sent, ${retrying} to retry later, ${failed} failed for good`
+  );
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("❌ Email queue error:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
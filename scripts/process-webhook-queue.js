@@ -0,0 +1,37 @@
+// scripts/process-webhook-queue.js
+//
+// Retries webhook deliveries that are due. The API server does this itself
+// while it is running; deployments without a long-lived server (e.g. Vercel)
+// should run this script on a schedule.
+//
+// Usage: node scripts/process-webhook-queue.js [--limit=200]
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const { processWebhookQueue } = require("../services/webhooks");
+
+dotenv.config();
+
+const limitArg = process.argv.find((arg) => arg.startsWith("--limit="));
+const LIMIT = limitArg ? parseInt(limitArg.split("=")[1], 10) : 200;
+
+const run = async () => {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/cashadvance"
+  );
+  console.log("✅ MongoDB connected successfully");
+
+  const { delivered, failed, retrying } = await processWebhookQueue({
+    limit: LIMIT,
+  });
+
+  console.log(
+    `🔗 ${delivered} delivered, ${retrying} to retry later, ${failed} failed for good`
+  );
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("❌ Webhook queue error:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
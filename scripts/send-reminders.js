@@ -0,0 +1,60 @@
+// scripts/send-reminders.js
+//
+// Sends the day's reminders: retirements due soon, overdue retirements
+// (escalated to the line manager after RETIREMENT_ESCALATION_DAYS) and
+// requests waiting on an approver longer than APPROVAL_SLA_DAYS. The API
+// server does this itself once a day while it is running, and on Vercel the
+// cron in vercel.json does it; other deployments without a long-lived server
+// should run this script daily. Reminders already sent in the current
+// interval are not repeated.
+//
+// Usage: node scripts/send-reminders.js [--dry-run]
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const { registerNotificationHandlers } = require("../services/notifications");
+const { runReminders } = require("../services/reminders");
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const run = async () => {
+  registerNotificationHandlers();
+
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/cashadvance"
+  );
+  console.log("✅ MongoDB connected successfully");
+
+  const { due, overdueRetirements, staleApprovals } = await runReminders({
+    dryRun: DRY_RUN,
+  });
+  const verb = DRY_RUN ? "Would remind" : "Reminded";
+
+  due.forEach((advance) => {
+    console.log(`${verb} ${advance.requestNumber}: retirement due soon`);
+  });
+  overdueRetirements.forEach(({ advance, daysOverdue, escalated }) => {
+    console.log(
+      `${verb} ${advance.requestNumber}: retirement ${daysOverdue} day(s) overdue${
+        escalated ? " (escalated to manager)" : ""
+      }`
+    );
+  });
+  staleApprovals.forEach(({ advance, level, daysWaiting }) => {
+    console.log(
+      `${verb} ${advance.requestNumber}: waiting ${daysWaiting} day(s) on ${level} approval`
+    );
+  });
+
+  console.log(
+    `📬 ${due.length} due soon, ${overdueRetirements.length} overdue, ${staleApprovals.length} stale approval(s)`
+  );
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("❌ Reminder error:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
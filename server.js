@@ -10,8 +10,31 @@ const dotenv = require("dotenv");
 // Load environment variables
 dotenv.config();
 
+// Check the mail and storage settings at startup rather than on first use
+// (see README.md for what production needs)
+require("./services/mail").getMailer();
+require("./services/storage").getStorage();
+
 const app = express();
 
+// Behind a proxy (Vercel, a load balancer) req.ip must come from
+// X-Forwarded-For, otherwise every client shares the proxy's address in the
+// per-IP login block, login history and audit log. TRUST_PROXY is the number
+// of proxy hops in front of the app (1 by default in production) or any other
+// Express "trust proxy" value, e.g. "loopback".
+const parseTrustProxy = (value) => {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (value === "true" || value === "false") return value === "true";
+  return value;
+};
+app.set(
+  "trust proxy",
+  parseTrustProxy(
+    process.env.TRUST_PROXY ||
+      (process.env.NODE_ENV === "production" ? "1" : "false")
+  )
+);
+
 // Security Middleware
 app.use(helmet());
 
@@ -38,7 +61,11 @@ app.use(limiter);
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
-// Logging middleware
+// Logging middleware. Access tokens passed in the query string (event
+// stream) are kept out of the logs.
+morgan.token("url", (req) =>
+  req.originalUrl.replace(/([?&]access_token=)[^&]*/, "$1[redacted]")
+);
 app.use(morgan("combined"));
 
 // MongoDB Connection
@@ -49,10 +76,29 @@ mongoose
 
 // Routes
 app.use("/api/auth", require("./routes/auth"));
+app.use("/api/auth/2fa", require("./routes/twoFactor"));
 app.use("/api/users", require("./routes/users"));
 app.use("/api/advances", require("./routes/advances"));
 app.use("/api/reports", require("./routes/reports"));
 app.use("/api/manager", require("./routes/manager"));
+app.use("/api/finance", require("./routes/finance"));
+app.use("/api/audit-logs", require("./routes/audit"));
+app.use("/api/advance-policies", require("./routes/policies"));
+app.use("/api/approval-rules", require("./routes/approvalRules"));
+app.use("/api/departments", require("./routes/departments"));
+app.use("/api/invitations", require("./routes/invitations"));
+app.use("/api/role-permissions", require("./routes/rolePermissions"));
+app.use("/api/sod-rules", require("./routes/sodRules"));
+app.use("/api/notifications", require("./routes/notifications"));
+app.use("/api/email-templates", require("./routes/emailTemplates"));
+app.use("/api/events", require("./routes/events"));
+app.use("/api/webhooks", require("./routes/webhooks"));
+app.use("/api/cron", require("./routes/cron"));
+
+// Workflow event subscribers
+require("./services/notifications").registerNotificationHandlers();
+require("./services/realtime").registerRealtimeHandlers();
+require("./services/webhooks").registerWebhookHandlers();
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -94,6 +140,15 @@ if (process.env.NODE_ENV !== "production") {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📱 Environment: ${process.env.NODE_ENV || "development"}`);
     console.log(`🌐 API URL: http://localhost:${PORT}`);
+
+    // On Vercel these never start; the email and webhook queues and the daily
+    // reminders run from the crons in vercel.json (routes/cron.js). Other
+    // serverless deployments run scripts/process-email-queue.js,
+    // scripts/process-webhook-queue.js and scripts/send-reminders.js on a
+    // schedule
+    require("./services/emailQueue").startEmailWorker();
+    require("./services/webhooks").startWebhookWorker();
+    require("./services/reminders").startReminderScheduler();
   });
 }
 
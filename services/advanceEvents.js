@@ -0,0 +1,68 @@
+// services/advanceEvents.js
+//
+// In-process bus for advance workflow events. Routes emit an event once the
+// change is saved; subscribers (notifications and the like) react without
+// the routes knowing about them. Routes wait for the handlers before
+// responding, so what they store (notifications, queued emails, webhook
+// deliveries) is saved even on serverless hosts that stop work once the
+// response is sent; slow network sends carry on in the background and are
+// retried from their queues. Handler failures are logged rather than
+// surfaced.
+const ADVANCE_EVENTS = [
+  "advance.submitted",
+  "advance.approved",
+  "advance.rejected",
+  "advance.disbursed",
+  "advance.retirement_due",
+  "advance.retirement_submitted",
+  "advance.retirement_queried",
+  "advance.retirement_rejected",
+  "advance.retirement_verified",
+];
+
+// event -> handlers, in subscription order
+const handlers = new Map(ADVANCE_EVENTS.map((event) => [event, []]));
+
+const assertKnownEvent = (event) => {
+  if (!handlers.has(event)) {
+    throw new Error(`Unknown advance event: ${event}`);
+  }
+};
+
+// Subscribe to an event. The handler receives { event, occurredAt, advance,
+// actor, ... } and may be async.
+const onAdvanceEvent = (event, handler) => {
+  assertKnownEvent(event);
+  handlers.get(event).push(handler);
+};
+
+// Publish an event. `advance` is the saved advance; `actor` is the user who
+// caused the event, when there is one. Returns a promise that settles once
+// every handler has finished, for callers (such as scripts) that must wait.
+const emitAdvanceEvent = (event, { advance, actor, ...details }) => {
+  assertKnownEvent(event);
+
+  const payload = {
+    event,
+    occurredAt: new Date(),
+    advance,
+    actor,
+    ...details,
+  };
+
+  return Promise.all(
+    handlers.get(event).map((handler) =>
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch((error) =>
+          console.error(`Advance event handler error (${event}):`, error)
+        )
+    )
+  );
+};
+
+module.exports = {
+  ADVANCE_EVENTS,
+  onAdvanceEvent,
+  emitAdvanceEvent,
+};
@@ -0,0 +1,102 @@
+// services/advancePolicy.js
+const mongoose = require("mongoose");
+const Advance = require("../models/Advance");
+const AdvancePolicy = require("../models/AdvancePolicy");
+
+// Statuses in which an advance is still open against the employee
+const OUTSTANDING_STATUSES = [
+  "pending",
+  "manager_approved",
+  "finance_approved",
+  "disbursed",
+  "retirement_submitted",
+  "retirement_queried",
+];
+
+// Count and total of the employee's unretired advances. Disbursed advances
+// count at the amount actually paid out.
+const getOutstanding = async (userId) => {
+  const [outstanding] = await Advance.aggregate([
+    {
+      $match: {
+        requester: new mongoose.Types.ObjectId(userId),
+        status: { $in: OUTSTANDING_STATUSES },
+        isActive: true,
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        totalAmount: {
+          $sum: { $ifNull: ["$disbursement.disbursedAmount", "$amount"] },
+        },
+      },
+    },
+  ]);
+
+  return outstanding || { count: 0, totalAmount: 0 };
+};
+
+// Check a new request of `amount` against every policy that applies to the
+// user. Returns the list of violated rules (empty when the request is fine).
+const evaluateAdvanceRequest = async (user, amount) => {
+  const policies = await AdvancePolicy.findApplicableTo(user);
+
+  if (policies.length === 0) {
+    return { violations: [], outstanding: null };
+  }
+
+  const outstanding = await getOutstanding(user._id || user.id);
+  const violations = [];
+
+  policies.forEach((policy) => {
+    const base = { policyId: policy._id, policy: policy.name };
+
+    if (
+      policy.maxConcurrentUnretired != null &&
+      outstanding.count + 1 > policy.maxConcurrentUnretired
+    ) {
+      violations.push({
+        ...base,
+        rule: "maxConcurrentUnretired",
+        limit: policy.maxConcurrentUnretired,
+        current: outstanding.count,
+        message: `You already have ${outstanding.count} unretired advance(s); the limit is ${policy.maxConcurrentUnretired}. Retire an existing advance first.`,
+      });
+    }
+
+    if (
+      policy.maxOutstandingTotal != null &&
+      outstanding.totalAmount + amount > policy.maxOutstandingTotal
+    ) {
+      violations.push({
+        ...base,
+        rule: "maxOutstandingTotal",
+        limit: policy.maxOutstandingTotal,
+        current: outstanding.totalAmount,
+        message: `This request would bring your outstanding advances to ${
+          outstanding.totalAmount + amount
+        }, above the limit of ${policy.maxOutstandingTotal}.`,
+      });
+    }
+
+    if (policy.maxRequestAmount != null && amount > policy.maxRequestAmount) {
+      violations.push({
+        ...base,
+        rule: "maxRequestAmount",
+        limit: policy.maxRequestAmount,
+        current: amount,
+        message: `A single request cannot exceed ${policy.maxRequestAmount}.`,
+      });
+    }
+  });
+
+  return { violations, outstanding };
+};
+
+module.exports = {
+  OUTSTANDING_STATUSES,
+  getOutstanding,
+  evaluateAdvanceRequest,
+};
@@ -0,0 +1,290 @@
+// services/advanceWorkflow.js
+//
+// Single source of truth for advance status changes. Every route that moves
+// an advance between statuses goes through transition() so the legal moves,
+// the permissions they need and their guards live in one place.
+
+const { resolveApprovalPrincipal } = require("./approvalAuthority");
+const { hasPermission } = require("./permissions");
+const { findSodViolation } = require("./segregationOfDuties");
+
+// Error raised for any move the workflow does not allow
+class TransitionError extends Error {
+  constructor(
+    message,
+    { action, currentStatus, requestedStatus, status, sodRule }
+  ) {
+    super(message);
+    this.name = "TransitionError";
+    this.status = status || 409;
+    this.action = action;
+    this.currentStatus = currentStatus;
+    this.requestedStatus = requestedStatus;
+    this.sodRule = sodRule;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      message: this.message,
+      action: this.action,
+      currentStatus: this.currentStatus,
+      requestedStatus: this.requestedStatus,
+      ...(this.sodRule && { sodRule: this.sodRule }),
+    };
+  }
+}
+
+const toId = (value) => (value ? String(value._id || value) : null);
+
+const isRequester = (advance, actor) =>
+  String(advance.requester._id || advance.requester) === String(actor.id);
+
+const requesterOnly = (advance, actor) =>
+  isRequester(advance, actor)
+    ? null
+    : "Only the requester can perform this action";
+
+// The actor, or the approver they are standing in for, must hold the level
+// the approval chain is waiting on with this requester in its reach, and
+// must not have decided an earlier step of the chain
+const holdsCurrentLevel = async (advance, actor, { onBehalfOf } = {}) => {
+  const level = advance.getCurrentApprovalLevel();
+  const principal = await resolveApprovalPrincipal(actor, advance);
+
+  if (!principal || toId(principal) !== toId(onBehalfOf || actor)) {
+    return `This request is waiting on ${level.replace("_", " ")} approval`;
+  }
+
+  const earlierDeciders = advance.approvalChain
+    .filter((step) => step.status !== "waiting")
+    .flatMap((step) => [toId(step.approver), toId(step.onBehalfOf)]);
+
+  return [actor, onBehalfOf].some(
+    (user) => user && earlierDeciders.includes(toId(user))
+  )
+    ? "You or the approver you act for decided an earlier step of this request"
+    : null;
+};
+
+// action -> { from, to, permission, duty, approvalStep, approvalRole,
+//             reviewAction, guard }
+//   permission:   permission needed to trigger the action (null = anyone)
+//   duty:         duty checked against the segregation-of-duties rules
+//   approvalStep: decides the current step of the approval chain
+//   approvalRole: when set, an entry is recorded in advance.approvals
+//   reviewAction: when set, an entry is added to the retirement review thread
+//   guard:        returns (or resolves to) an error message when the move
+//                 must be refused
+//
+// Options passed to transition():
+//   comment:    recorded with the approval or review entry
+//   onBehalfOf: user whose approval authority a delegate is exercising
+const TRANSITIONS = {
+  // Approves an intermediate level; the request stays pending for the next
+  approve_level: {
+    from: ["pending"],
+    to: "pending",
+    permission: "advance.approve",
+    duty: "approve",
+    approvalStep: true,
+    guard: async (advance, actor, options) =>
+      (await holdsCurrentLevel(advance, actor, options)) ||
+      (advance.isFinalApprovalStep() ? "This is the final approval" : null),
+  },
+  // Approves the last level of the chain
+  manager_approve: {
+    from: ["pending"],
+    to: "manager_approved",
+    permission: "advance.approve",
+    duty: "approve",
+    approvalStep: true,
+    guard: async (advance, actor, options) =>
+      (await holdsCurrentLevel(advance, actor, options)) ||
+      (advance.isFinalApprovalStep()
+        ? null
+        : "Further approval levels are still required"),
+  },
+  manager_reject: {
+    from: ["pending"],
+    to: "rejected",
+    permission: "advance.approve",
+    duty: "approve",
+    approvalStep: true,
+    guard: holdsCurrentLevel,
+  },
+  finance_approve: {
+    from: ["manager_approved"],
+    to: "finance_approved",
+    permission: "finance.review",
+    duty: "approve",
+    approvalRole: "finance",
+  },
+  finance_reject: {
+    from: ["manager_approved"],
+    to: "rejected",
+    permission: "finance.review",
+    duty: "approve",
+    approvalRole: "finance",
+  },
+  disburse: {
+    from: ["finance_approved"],
+    to: "disbursed",
+    permission: "advance.disburse",
+    duty: "disburse",
+  },
+  submit_retirement: {
+    from: ["disbursed"],
+    to: "retirement_submitted",
+    permission: null,
+    reviewAction: "submitted",
+    guard: (advance, actor) => {
+      if (!advance.disbursement || !advance.disbursement.disbursedDate) {
+        return "Advance cannot be retired before it has been disbursed";
+      }
+      return requesterOnly(advance, actor);
+    },
+  },
+  query_retirement: {
+    from: ["retirement_submitted"],
+    to: "retirement_queried",
+    permission: "retirement.review",
+    duty: "verify_retirement",
+    reviewAction: "queried",
+  },
+  respond_retirement_query: {
+    from: ["retirement_queried"],
+    to: "retirement_submitted",
+    permission: null,
+    reviewAction: "responded",
+    guard: requesterOnly,
+  },
+  approve_retirement: {
+    from: ["retirement_submitted"],
+    to: "retired",
+    permission: "retirement.review",
+    duty: "verify_retirement",
+    reviewAction: "approved",
+  },
+  // Sends the retirement back to the employee to be redone
+  reject_retirement: {
+    from: ["retirement_submitted", "retirement_queried"],
+    to: "disbursed",
+    permission: "retirement.review",
+    duty: "verify_retirement",
+    reviewAction: "rejected",
+  },
+};
+
+// Resolves to the reason an action is not allowed, or null when it is
+const checkTransition = async (advance, action, actor, options = {}) => {
+  const definition = TRANSITIONS[action];
+
+  if (!definition) {
+    throw new Error(`Unknown advance workflow action: ${action}`);
+  }
+
+  const context = {
+    action,
+    currentStatus: advance.status,
+    requestedStatus: definition.to,
+  };
+
+  if (
+    definition.permission &&
+    !(await hasPermission(actor, definition.permission))
+  ) {
+    return new TransitionError("Your role cannot perform this action", {
+      ...context,
+      status: 403,
+    });
+  }
+
+  if (!definition.from.includes(advance.status)) {
+    return new TransitionError(
+      `Cannot move an advance from "${advance.status}" to "${definition.to}"`,
+      context
+    );
+  }
+
+  const guardMessage =
+    definition.guard && (await definition.guard(advance, actor, options));
+  if (guardMessage) {
+    return new TransitionError(guardMessage, context);
+  }
+
+  if (definition.duty) {
+    const violation = await findSodViolation(advance, definition.duty, [
+      actor,
+      options.onBehalfOf,
+    ]);
+
+    if (violation) {
+      return new TransitionError(violation.message, {
+        ...context,
+        status: 403,
+        sodRule: violation.rule,
+      });
+    }
+  }
+
+  return null;
+};
+
+const canTransition = async (advance, action, actor, options) =>
+  (await checkTransition(advance, action, actor, options)) === null;
+
+// Apply an action to the advance (unsaved), rejecting with TransitionError if
+// the move is not allowed
+const transition = async (advance, action, actor, options = {}) => {
+  const { comment = "", onBehalfOf } = options;
+  const error = await checkTransition(advance, action, actor, options);
+  if (error) {
+    throw error;
+  }
+
+  const definition = TRANSITIONS[action];
+
+  if (definition.approvalStep) {
+    const decision = definition.to === "rejected" ? "rejected" : "approved";
+    const onBehalfOfId = onBehalfOf ? onBehalfOf._id : undefined;
+
+    advance.addApproval(
+      actor.id,
+      advance.getCurrentApprovalLevel(),
+      decision,
+      comment,
+      onBehalfOfId
+    );
+    advance.recordApprovalStep(actor.id, decision, onBehalfOfId);
+  }
+
+  if (definition.approvalRole) {
+    advance.addApproval(
+      actor.id,
+      definition.approvalRole,
+      definition.to === "rejected" ? "rejected" : "approved",
+      comment
+    );
+  }
+
+  if (definition.reviewAction) {
+    advance.addReviewEntry(actor.id, definition.reviewAction, comment);
+  }
+
+  advance.status = definition.to;
+  return advance;
+};
+
+// Approval action for the request's current step: intermediate levels keep
+// it pending, the last one completes the chain
+const getApprovalAction = (advance) =>
+  advance.isFinalApprovalStep() ? "manager_approve" : "approve_level";
+
+module.exports = {
+  TRANSITIONS,
+  TransitionError,
+  canTransition,
+  transition,
+  getApprovalAction,
+};
@@ -0,0 +1,226 @@
+// services/approvalAuthority.js
+//
+// Who may approve which requests under the delegation-of-authority matrix.
+// Each approval level has its own reach: a manager approves for everyone who
+// reports to them directly or indirectly, a department head for their
+// department, and finance directors and admins for the whole organisation.
+// The manager and admin levels come from the advance.approve.team and
+// advance.approve.all permissions; the others are granted per user through
+// approvalAuthorities. advance.approve itself only lets a user act on the
+// levels they hold.
+// While a delegation is running, the delegate also acts with the delegator's
+// levels and reach.
+const User = require("../models/User");
+const Delegation = require("../models/Delegation");
+const { getTeamMemberIds } = require("./orgHierarchy");
+const { hasPermission, getRolesWithPermission } = require("./permissions");
+
+// Approval levels held by a user, from their role's permissions and extra
+// authorities
+const getApprovalLevels = async (user) => {
+  const levels = [];
+
+  if (await hasPermission(user, "advance.approve.team")) {
+    levels.push("manager");
+  }
+
+  (user.approvalAuthorities || []).forEach((authority) => {
+    if (!levels.includes(authority)) levels.push(authority);
+  });
+
+  if (await hasPermission(user, "advance.approve.all")) {
+    levels.push("admin");
+  }
+
+  return levels;
+};
+
+const holdsApprovalLevel = async (user, level) =>
+  (await getApprovalLevels(user)).includes(level);
+
+const getDepartmentMemberIds = async (user) => {
+  const members = await User.find({ department: user.department }).select(
+    "_id"
+  );
+
+  return members.map((member) => member._id);
+};
+
+// Requester filter for one approval level, or null for organisation-wide
+const getLevelRequesterFilter = async (user, level) => {
+  if (level === "manager") {
+    return { $in: await getTeamMemberIds(user) };
+  }
+
+  if (level === "department_head") {
+    return { $in: await getDepartmentMemberIds(user) };
+  }
+
+  return null;
+};
+
+// Users whose authority the user can exercise right now: themselves first,
+// then anyone with an active delegation to them. Delegated authority is not
+// passed on again.
+const getActingPrincipals = async (user) => {
+  const delegations = await Delegation.findActiveForDelegate(
+    user._id
+  ).populate("delegator", "-password");
+
+  const delegators = delegations
+    .map((delegation) => delegation.delegator)
+    .filter((delegator) => delegator && delegator.isActive);
+
+  return [user, ...delegators];
+};
+
+const isRequesterInLevelScope = async (principal, level, requesterId) => {
+  const requesterFilter = await getLevelRequesterFilter(principal, level);
+
+  return (
+    !requesterFilter ||
+    requesterFilter.$in.some((id) => String(id) === requesterId)
+  );
+};
+
+// Query filter for pending requests waiting on one of the user's levels,
+// directly or by delegation, or null when the user holds no level at all
+const buildPendingApprovalFilter = async (user) => {
+  const principals = await getActingPrincipals(user);
+  const clauses = [];
+
+  for (const principal of principals) {
+    for (const level of await getApprovalLevels(principal)) {
+      const clause = {
+        // Requests from before the matrix have no level and need a manager
+        currentApprovalLevel:
+          level === "manager" ? { $in: [level, null] } : level,
+      };
+
+      const requesterFilter = await getLevelRequesterFilter(principal, level);
+      if (requesterFilter) {
+        clause.requester = requesterFilter;
+      }
+
+      clauses.push(clause);
+    }
+  }
+
+  if (clauses.length === 0) {
+    return null;
+  }
+
+  return { status: "pending", isActive: true, $or: clauses };
+};
+
+// Whether the request's requester is within reach of any level the user
+// holds, directly or by delegation
+const isInApprovalScope = async (user, advance) => {
+  const requesterId = String(advance.requester._id || advance.requester);
+
+  for (const principal of await getActingPrincipals(user)) {
+    for (const level of await getApprovalLevels(principal)) {
+      if (await isRequesterInLevelScope(principal, level, requesterId)) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+};
+
+// The user whose authority covers the request's current approval step: the
+// user themselves when they can decide it, otherwise a delegator they are
+// standing in for. Null when nobody they act for can decide it.
+const resolveApprovalPrincipal = async (user, advance) => {
+  const level = advance.getCurrentApprovalLevel();
+  const requesterId = String(advance.requester._id || advance.requester);
+
+  if (!level) {
+    return null;
+  }
+
+  for (const principal of await getActingPrincipals(user)) {
+    if (
+      (await holdsApprovalLevel(principal, level)) &&
+      (await isRequesterInLevelScope(principal, level, requesterId))
+    ) {
+      return principal;
+    }
+  }
+
+  return null;
+};
+
+// Users who can decide the given approval level for a requester, plus anyone
+// standing in for them under an active delegation. For the manager level
+// that is the nearest manager up the reporting line.
+const findLevelApprovers = async (requesterId, level) => {
+  const requester = await User.findById(requesterId).select(
+    "managerId department"
+  );
+
+  if (!requester || !level) {
+    return [];
+  }
+
+  let approvers = [];
+
+  if (level === "manager") {
+    const visited = new Set([String(requester._id)]);
+    let managerId = requester.managerId;
+
+    while (managerId && !visited.has(String(managerId))) {
+      visited.add(String(managerId));
+
+      const manager = await User.findById(managerId).select(
+        "firstName lastName email role approvalAuthorities managerId isActive"
+      );
+      if (!manager) break;
+
+      if (manager.isActive && (await holdsApprovalLevel(manager, "manager"))) {
+        approvers = [manager];
+        break;
+      }
+      managerId = manager.managerId;
+    }
+  } else {
+    const filter = {
+      _id: { $ne: requester._id },
+      isActive: true,
+      ...(level === "admin"
+        ? { role: { $in: await getRolesWithPermission("advance.approve.all") } }
+        : { approvalAuthorities: level }),
+    };
+
+    if (level === "department_head") {
+      filter.department = requester.department;
+    }
+
+    approvers = await User.find(filter).select("firstName lastName email role");
+  }
+
+  const now = new Date();
+  const delegations = await Delegation.find({
+    delegator: { $in: approvers.map((approver) => approver._id) },
+    revokedAt: null,
+    startDate: { $lte: now },
+    endDate: { $gte: now },
+  }).populate("delegate", "firstName lastName email role isActive");
+
+  const delegates = delegations
+    .map((delegation) => delegation.delegate)
+    .filter((delegate) => delegate && delegate.isActive);
+
+  return [...approvers, ...delegates];
+};
+
+module.exports = {
+  getApprovalLevels,
+  holdsApprovalLevel,
+  getActingPrincipals,
+  buildPendingApprovalFilter,
+  isInApprovalScope,
+  resolveApprovalPrincipal,
+  findLevelApprovers,
+};
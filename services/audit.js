@@ -0,0 +1,85 @@
+// services/audit.js
+const AuditLog = require("../models/AuditLog");
+
+// Fields that are noise in a diff or must never be written to the log
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt", "password"];
+
+// Plain, depopulated copy of a document suitable for diffing
+const snapshot = (doc) => {
+  if (!doc) return null;
+
+  const plain =
+    typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc;
+
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Flatten nested objects into dotted paths; arrays are compared as a whole
+const flatten = (value, prefix = "", result = {}) => {
+  if (!isPlainObject(value)) {
+    if (prefix) result[prefix] = value;
+    return result;
+  }
+
+  Object.keys(value).forEach((key) => {
+    if (!prefix && IGNORED_FIELDS.includes(key)) return;
+    flatten(value[key], prefix ? `${prefix}.${key}` : key, result);
+  });
+
+  return result;
+};
+
+// List of { field, before, after } for every path that differs
+const diff = (before, after) => {
+  const flatBefore = flatten(before || {});
+  const flatAfter = flatten(after || {});
+  const fields = new Set([
+    ...Object.keys(flatBefore),
+    ...Object.keys(flatAfter),
+  ]);
+
+  return [...fields]
+    .filter(
+      (field) =>
+        JSON.stringify(flatBefore[field]) !== JSON.stringify(flatAfter[field])
+    )
+    .map((field) => ({
+      field,
+      before: flatBefore[field] === undefined ? null : flatBefore[field],
+      after: flatAfter[field] === undefined ? null : flatAfter[field],
+    }));
+};
+
+// Record an audit entry for a mutating request. `before`/`after` are
+// snapshots taken with snapshot(). Failures are logged rather than thrown so
+// auditing never breaks the request that triggered it.
+const recordAudit = async (
+  req,
+  { action, targetType, targetId, before = null, after = null, actor }
+) => {
+  try {
+    const actingUser = actor || req.user;
+
+    await AuditLog.create({
+      actor: actingUser ? actingUser._id || actingUser.id : undefined,
+      actorRole: actingUser ? actingUser.role : undefined,
+      action,
+      targetType,
+      targetId,
+      changes: diff(before, after),
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+  } catch (error) {
+    console.error("Audit log error:", error);
+  }
+};
+
+module.exports = {
+  snapshot,
+  diff,
+  recordAudit,
+};
@@ -0,0 +1,121 @@
+// services/departmentBudget.js
+//
+// Department advance budgets: how much of a period's budget is already
+// committed, and whether approving a request would go over it.
+const Advance = require("../models/Advance");
+const DepartmentBudget = require("../models/DepartmentBudget");
+
+// Approved but not yet paid out
+const COMMITTED_STATUSES = ["manager_approved", "finance_approved"];
+
+// Paid out; these count at the amount actually disbursed
+const DISBURSED_STATUSES = [
+  "disbursed",
+  "retirement_submitted",
+  "retirement_queried",
+  "retired",
+];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Approved and disbursed totals for advances raised in the department within
+// the budget period. Advances count against the department recorded on them,
+// not the requester's current one.
+const getConsumption = async (budget, { excludeAdvanceId } = {}) => {
+  const match = {
+    department: budget.department,
+    status: { $in: [...COMMITTED_STATUSES, ...DISBURSED_STATUSES] },
+    requestDate: { $gte: budget.periodStart, $lte: budget.periodEnd },
+    isActive: true,
+  };
+
+  if (excludeAdvanceId) {
+    match._id = { $ne: excludeAdvanceId };
+  }
+
+  const [totals] = await Advance.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        approved: {
+          $sum: {
+            $cond: [{ $in: ["$status", COMMITTED_STATUSES] }, "$amount", 0],
+          },
+        },
+        disbursed: {
+          $sum: {
+            $cond: [
+              { $in: ["$status", DISBURSED_STATUSES] },
+              { $ifNull: ["$disbursement.disbursedAmount", "$amount"] },
+              0,
+            ],
+          },
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const approved = totals ? totals.approved : 0;
+  const disbursed = totals ? totals.disbursed : 0;
+
+  return {
+    approved: roundCurrency(approved),
+    disbursed: roundCurrency(disbursed),
+    consumed: roundCurrency(approved + disbursed),
+    count: totals ? totals.count : 0,
+  };
+};
+
+// Budget figures as returned by the API
+const describeBudget = (budget, consumption) => ({
+  budgetId: budget._id,
+  department: budget.department,
+  periodStart: budget.periodStart,
+  periodEnd: budget.periodEnd,
+  amount: budget.amount,
+  enforcement: budget.enforcement,
+  ...consumption,
+  remaining: roundCurrency(budget.amount - consumption.consumed),
+  utilization:
+    budget.amount > 0
+      ? Math.round((consumption.consumed / budget.amount) * 10000) / 100
+      : null,
+});
+
+// Budget position for the advance's department if it were approved: null
+// when the advance has no department or the department has no budget
+// covering the request date
+const checkAdvanceAgainstBudget = async (advance) => {
+  if (!advance.department) {
+    return null;
+  }
+
+  const budget = await DepartmentBudget.findForDate(
+    advance.department._id || advance.department,
+    advance.requestDate
+  );
+
+  if (!budget) {
+    return null;
+  }
+
+  const consumption = await getConsumption(budget, {
+    excludeAdvanceId: advance._id,
+  });
+  const projected = roundCurrency(consumption.consumed + advance.amount);
+
+  return {
+    ...describeBudget(budget, consumption),
+    requestAmount: advance.amount,
+    projected,
+    exceeded: projected > budget.amount,
+  };
+};
+
+module.exports = {
+  getConsumption,
+  describeBudget,
+  checkAdvanceAgainstBudget,
+};
@@ -0,0 +1,136 @@
+// services/emailQueue.js
+//
+// Outgoing email goes through a queue stored in EmailJob so a failed send is
+// retried with exponential backoff instead of being lost. enqueueEmail()
+// stores the job and starts sending it straight away; processEmailQueue()
+// picks up anything due, either from the in-process worker
+// (startEmailWorker), the Vercel cron (routes/cron.js) or a cron run of
+// scripts/process-email-queue.js.
+const EmailJob = require("../models/EmailJob");
+const { sendMail } = require("./mail");
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+const WORKER_INTERVAL_SECONDS =
+  parseInt(process.env.EMAIL_QUEUE_INTERVAL_SECONDS, 10) || 60;
+// A job stuck in "sending" this long is assumed to belong to a dead worker
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// 1, 2, 4, 8... minutes after each failed attempt, capped at an hour
+const getRetryDelayMs = (attempts) =>
+  Math.min(2 ** (attempts - 1), 60) * 60 * 1000;
+
+// Claim a job so no other worker sends it at the same time
+const claimJob = (filter) =>
+  EmailJob.findOneAndUpdate(
+    filter,
+    {
+      $set: { status: "sending", lockedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+
+const dueJobFilter = () => {
+  const now = new Date();
+
+  return {
+    $or: [
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      {
+        status: "sending",
+        lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+      },
+    ],
+  };
+};
+
+const deliver = async (job) => {
+  try {
+    const { messageId } = await sendMail({
+      to: job.to,
+      subject: job.subject,
+      text: job.text,
+    });
+
+    job.status = "sent";
+    job.messageId = messageId;
+    job.sentAt = new Date();
+    job.lastError = undefined;
+  } catch (error) {
+    job.lastError = error.message;
+
+    if (job.attempts >= MAX_ATTEMPTS) {
+      job.status = "failed";
+      console.error(
+        `Email to ${job.to} failed after ${job.attempts} attempts:`,
+        error.message
+      );
+    } else {
+      job.status = "pending";
+      job.nextAttemptAt = new Date(
+        Date.now() + getRetryDelayMs(job.attempts)
+      );
+    }
+  }
+
+  job.lockedAt = undefined;
+  await job.save();
+  return job;
+};
+
+// Queue an email and start sending it. Resolves to the job once it is
+// stored; the first attempt carries on in the background and, if it is cut
+// short, the queue retries the job.
+const enqueueEmail = async (message) => {
+  const { to, subject, text, recipient, notification } = message;
+  const job = await EmailJob.create({
+    to,
+    subject,
+    text,
+    recipient,
+    notification,
+  });
+
+  claimJob({ _id: job._id, status: "pending" })
+    .then((claimed) => claimed && deliver(claimed))
+    .catch((error) => console.error("Email send error:", error));
+
+  return job;
+};
+
+// Send up to `limit` due jobs. Returns { sent, failed, retrying }.
+const processEmailQueue = async ({ limit = 50 } = {}) => {
+  const result = { sent: 0, failed: 0, retrying: 0 };
+
+  for (let i = 0; i < limit; i += 1) {
+    const job = await claimJob(dueJobFilter());
+    if (!job) break;
+
+    const { status } = await deliver(job);
+    if (status === "sent") result.sent += 1;
+    else if (status === "failed") result.failed += 1;
+    else result.retrying += 1;
+  }
+
+  return result;
+};
+
+let workerTimer = null;
+
+// Process the queue every EMAIL_QUEUE_INTERVAL_SECONDS in this process
+const startEmailWorker = () => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(() => {
+    processEmailQueue().catch((error) =>
+      console.error("Email queue error:", error)
+    );
+  }, WORKER_INTERVAL_SECONDS * 1000);
+  workerTimer.unref();
+};
+
+module.exports = {
+  enqueueEmail,
+  processEmailQueue,
+  startEmailWorker,
+};
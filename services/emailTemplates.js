@@ -0,0 +1,206 @@
+// services/emailTemplates.js
+//
+// Subject and body for each notification email. Admins can replace the
+// defaults below through /api/email-templates; placeholders such as
+// {{requestNumber}} are filled in when the email is sent.
+const EmailTemplate = require("../models/EmailTemplate");
+
+const PLACEHOLDERS = {
+  recipientName: "First name of the person receiving the email",
+  requesterName: "Full name of the employee who made the request",
+  requestNumber: "Request number, e.g. ADV2410001",
+  amount: "Amount requested",
+  purpose: "Purpose of the request",
+  status: "Current status of the request",
+  actorName: "Full name of the person whose action triggered the email",
+  level: "Approval level the request is waiting on",
+  comment: "Comment or reason given with the action",
+  dueDate: "Date the advance must be retired by",
+  daysOverdue: "Days the retirement is past its deadline",
+  daysWaiting: "Days the request has been waiting on the current approval",
+  link: "Link to the request in the web app",
+};
+
+const DEFAULT_TEMPLATES = {
+  approval_required: {
+    subject: "Approval needed: {{requestNumber}} for {{amount}}",
+    body: [
+      "Hello {{recipientName}},",
+      "",
+      "{{requesterName}} has a cash advance request of {{amount}} for {{purpose}} waiting on {{level}} approval.",
+      "",
+      "Review it here: {{link}}",
+    ].join("\n"),
+  },
+  advance_submitted: {
+    subject: "Request {{requestNumber}} submitted",
+    body: [
+      "Hello {{recipientName}},",
+      "",
+      "Your cash advance request {{requestNumber}} for {{amount}} has been submitted and is waiting on {{level}} approval.",
+      "",
+      "{{link}}",
+    ].join("\n"),
+  },
+  advance_approved: {
+    subject: "Request {{requestNumber}} approved",
+    body: [
+      "Hello {{recipientName}},",
+      "",
+      "{{actorName}} approved your cash advance request {{requestNumber}} for {{amount}}. Its status is now: {{status}}.",
+      "",
+      "{{link}}",
+    ].join("\n"),
+  },
+  advance_rejected: {
+    subject: "Request {{requestNumber}} rejected",
+    body: [
+      "Hello {{recipientName}},",
+      "",
+      "{{actorName}} rejected your cash advance request {{requestNumber}} for {{amount}}.",
+      "Reason: {{comment}}",
+      "",
+      "{{link}}",
+    ].join("\n"),
+  },
+  advance_disbursed: {
+    subject: "Advance {{requestNumber}} disbursed",
+    body: [
+      "Hello {{recipientName}},",
+      "",
+      "Your cash advance {{requestNumber}} has been disbursed. Please retire it with your receipts by {{dueDate}}.",
+      "",
+      "{{link}}",
+    ].join("\n"),
+  },
+  retirement_due: {
+    subject: "Retirement due for {{requestNumber}}",
+    body: [
+      "Hello {{recipientName}},",
+      "",
+      "Your cash advance {{requestNumber}} for {{amount}} must be retired by {{dueDate}}. Submit your receipts here: {{link}}",
+    ].join("\n"),
+  },
+  retirement_overdue: {
+    subject: "Retirement overdue for {{requestNumber}}",
+    body: [
+      "Hello {{recipientName}},",
+      "",
+      "Your cash advance {{requestNumber}} for {{amount}} was due for retirement on {{dueDate}} and is now {{daysOverdue}} day(s) overdue. Submit your receipts as soon as possible: {{link}}",
+    ].join("\n"),
+  },
+  retirement_escalated: {
+    subject: "Overdue retirement in your team: {{requestNumber}}",
+    body: [
+      "Hello {{recipientName}},",
+      "",
+      "{{requesterName}} has not retired cash advance {{requestNumber}} for {{amount}}. It was due on {{dueDate}} and is now {{daysOverdue}} day(s) overdue.",
+      "",
+      "Please follow up with them: {{link}}",
+    ].join("\n"),
+  },
+  approval_overdue: {
+    subject: "Reminder: {{requestNumber}} is waiting on your approval",
+    body: [
+      "Hello {{recipientName}},",
+      "",
+      "{{requesterName}}'s cash advance request {{requestNumber}} for {{amount}} has been waiting on {{level}} approval for {{daysWaiting}} day(s).",
+      "",
+      "Review it here: {{link}}",
+    ].join("\n"),
+  },
+  retirement_submitted: {
+    subject: "Retirement to verify: {{requestNumber}}",
+    body: [
+      "Hello {{recipientName}},",
+      "",
+      "{{requesterName}} has submitted the retirement of cash advance {{requestNumber}} for {{amount}} and it is waiting on finance verification.",
+      "{{comment}}",
+      "",
+      "Review it here: {{link}}",
+    ].join("\n"),
+  },
+  retirement_queried: {
+    subject: "Question about the retirement of {{requestNumber}}",
+    body: [
+      "Hello {{recipientName}},",
+      "",
+      "{{actorName}} has a question about the retirement of {{requestNumber}}:",
+      "{{comment}}",
+      "",
+      "Respond here: {{link}}",
+    ].join("\n"),
+  },
+  retirement_rejected: {
+    subject: "Retirement of {{requestNumber}} sent back",
+    body: [
+      "Hello {{recipientName}},",
+      "",
+      "{{actorName}} sent back the retirement of {{requestNumber}}:",
+      "{{comment}}",
+      "",
+      "Please submit it again: {{link}}",
+    ].join("\n"),
+  },
+  retirement_verified: {
+    subject: "Retirement of {{requestNumber}} verified",
+    body: [
+      "Hello {{recipientName}},",
+      "",
+      "The retirement of {{requestNumber}} has been verified and the advance is closed.",
+      "",
+      "{{link}}",
+    ].join("\n"),
+  },
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Placeholders used in the text that are not in PLACEHOLDERS
+const findUnknownPlaceholders = (text) => [
+  ...new Set(
+    [...text.matchAll(PLACEHOLDER_PATTERN)]
+      .map((match) => match[1])
+      .filter((name) => !PLACEHOLDERS[name])
+  ),
+];
+
+const renderTemplate = (text, variables) =>
+  text.replace(PLACEHOLDER_PATTERN, (match, name) =>
+    variables[name] === undefined || variables[name] === null
+      ? ""
+      : String(variables[name])
+  );
+
+// The template in use for a notification type: the stored one, else the
+// default
+const getEmailTemplate = async (type) => {
+  const stored = await EmailTemplate.findOne({ type });
+
+  if (stored) {
+    return { subject: stored.subject, body: stored.body, isDefault: false };
+  }
+
+  return DEFAULT_TEMPLATES[type]
+    ? { ...DEFAULT_TEMPLATES[type], isDefault: true }
+    : null;
+};
+
+const renderEmail = async (type, variables) => {
+  const template = await getEmailTemplate(type);
+  if (!template) return null;
+
+  return {
+    subject: renderTemplate(template.subject, variables),
+    text: renderTemplate(template.body, variables),
+  };
+};
+
+module.exports = {
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  findUnknownPlaceholders,
+  renderTemplate,
+  getEmailTemplate,
+  renderEmail,
+};
@@ -0,0 +1,109 @@
+// services/loginProtection.js
+//
+// Brute-force protection for POST /api/auth/login. Failed attempts are
+// counted per account (locking it for a while after too many) and per IP
+// (blocking the address across all accounts), and every failure is answered
+// a little more slowly than the last.
+const LoginHistory = require("../models/LoginHistory");
+const User = require("../models/User");
+
+const MAX_FAILED_ATTEMPTS =
+  parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const IP_MAX_FAILED_ATTEMPTS =
+  parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS, 10) || 20;
+const IP_WINDOW_MINUTES =
+  parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+const MAX_DELAY_MS = 8000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Delay before answering a failed attempt: none for the first, then doubling
+// from half a second
+const getFailureDelay = (failedAttempts) =>
+  failedAttempts <= 1
+    ? 0
+    : Math.min(500 * 2 ** (failedAttempts - 2), MAX_DELAY_MS);
+
+const isLocked = (user) =>
+  Boolean(user.lockedUntil && user.lockedUntil > new Date());
+
+// Minutes (rounded up) until the account unlocks
+const getLockRemainingMinutes = (user) =>
+  Math.max(Math.ceil((user.lockedUntil - Date.now()) / 60000), 1);
+
+// Failures that were wrong guesses at a password or login code. Attempts
+// turned away without a check (blocked, locked or deactivated) and step-up
+// failures by signed-in users do not count towards the IP block, so a
+// blocked address cannot keep extending its own block.
+const CREDENTIAL_FAILURE_REASONS = [
+  "invalid_credentials",
+  "unknown_account",
+  "invalid_two_factor",
+];
+
+const isIpBlocked = async (ip) => {
+  const failures = await LoginHistory.countDocuments({
+    ip,
+    success: false,
+    reason: { $in: CREDENTIAL_FAILURE_REASONS },
+    createdAt: { $gte: new Date(Date.now() - IP_WINDOW_MINUTES * 60000) },
+  });
+
+  return failures >= IP_MAX_FAILED_ATTEMPTS;
+};
+
+// Log the attempt; failures here never block the login itself
+const recordLoginAttempt = async (req, { user, email, success, reason }) => {
+  try {
+    await LoginHistory.create({
+      user: user ? user._id : undefined,
+      email,
+      success,
+      reason,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+  } catch (error) {
+    console.error("Login history error:", error);
+  }
+};
+
+// Count a wrong password against the account, locking it once the limit is
+// reached, then wait out the progressive delay. Resolves to the updated user.
+const registerFailedLogin = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: new Date() },
+    },
+    { new: true }
+  );
+  const failedAttempts = updated.failedLoginAttempts;
+
+  if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    updated.lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60000);
+    updated.failedLoginAttempts = 0;
+    await updated.save();
+  }
+
+  await sleep(getFailureDelay(failedAttempts));
+
+  return updated;
+};
+
+const resetFailedLogins = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lockedUntil = undefined;
+};
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  isLocked,
+  getLockRemainingMinutes,
+  isIpBlocked,
+  recordLoginAttempt,
+  registerFailedLogin,
+  resetFailedLogins,
+};
@@ -0,0 +1,23 @@
+// services/mail/consoleTransport.js
+
+// Prints messages to stdout instead of sending them; for local development
+const createConsoleTransport = () => ({
+  name: "console",
+
+  async send({ from, to, subject, text }) {
+    console.log(
+      [
+        "📧 Mail (console transport)",
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        "",
+        text,
+      ].join("\n")
+    );
+
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+module.exports = createConsoleTransport;
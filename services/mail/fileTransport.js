@@ -0,0 +1,24 @@
+// services/mail/fileTransport.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Writes each message as a JSON file under MAIL_OUTPUT_DIR (defaults to
+// ./mail) so it can be inspected without a mail server
+const createFileTransport = ({ outputDir }) => ({
+  name: "file",
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(outputDir, `${messageId}.json`),
+      JSON.stringify({ ...message, date: new Date() }, null, 2)
+    );
+
+    return { messageId };
+  },
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,79 @@
+// services/mail/index.js
+//
+// Pluggable outgoing mail. Transports expose send({ to, subject, text,
+// html }); pick one with MAIL_TRANSPORT: "console", "file" or "smtp"
+// (configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS).
+// The default is "console" in development and "smtp" in production, which
+// refuses the others: they write message bodies, including password reset
+// links, to the logs or local disk.
+const path = require("path");
+const createConsoleTransport = require("./consoleTransport");
+const createFileTransport = require("./fileTransport");
+const createSmtpTransport = require("./smtpTransport");
+
+const DEVELOPMENT_TRANSPORTS = ["console", "file"];
+
+const transports = {
+  console: () => createConsoleTransport(),
+  file: () =>
+    createFileTransport({
+      outputDir:
+        process.env.MAIL_OUTPUT_DIR || path.join(__dirname, "../../mail"),
+    }),
+  smtp: () =>
+    createSmtpTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    }),
+};
+
+let mailer;
+
+const getMailer = () => {
+  if (!mailer) {
+    const isProduction = process.env.NODE_ENV === "production";
+    const transport =
+      process.env.MAIL_TRANSPORT || (isProduction ? "smtp" : "console");
+
+    if (!transports[transport]) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+    }
+
+    if (isProduction && DEVELOPMENT_TRANSPORTS.includes(transport)) {
+      throw new Error(
+        `MAIL_TRANSPORT "${transport}" cannot be used in production; set MAIL_TRANSPORT=smtp`
+      );
+    }
+
+    // Queued emails are retried, so they go out once SMTP is configured
+    if (isProduction && transport === "smtp" && !process.env.SMTP_HOST) {
+      console.warn(
+        "⚠️  SMTP_HOST is not set; emails will fail and stay queued until it is"
+      );
+    }
+
+    mailer = transports[transport]();
+  }
+
+  return mailer;
+};
+
+// Swap the transport at runtime, e.g. for a mail API implementation
+const setMailer = (transport) => {
+  mailer = transport;
+};
+
+const sendMail = (message) =>
+  getMailer().send({
+    from: process.env.MAIL_FROM || "no-reply@cashadvance.local",
+    ...message,
+  });
+
+module.exports = {
+  getMailer,
+  setMailer,
+  sendMail,
+};
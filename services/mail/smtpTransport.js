@@ -0,0 +1,25 @@
+// services/mail/smtpTransport.js
+const nodemailer = require("nodemailer");
+
+// Sends through an SMTP server. Failures reject so the caller (the email
+// queue) can retry.
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+
+    async send({ from, to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+module.exports = createSmtpTransport;
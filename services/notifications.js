@@ -0,0 +1,307 @@
+// services/notifications.js
+//
+// In-app notifications for advance workflow events, each also sent by email
+// unless the recipient has opted out. registerNotificationHandlers()
+// subscribes to services/advanceEvents; call it once at startup.
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { onAdvanceEvent } = require("./advanceEvents");
+const { findLevelApprovers } = require("./approvalAuthority");
+const { getRolesWithPermission } = require("./permissions");
+const { renderEmail } = require("./emailTemplates");
+const { enqueueEmail } = require("./emailQueue");
+
+const toId = (value) => (value ? String(value._id || value) : null);
+
+const describeLevel = (level) => level.replace("_", " ");
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : "");
+
+const loadUser = async (value) => {
+  if (!value) return null;
+  if (value.firstName) return value;
+
+  return User.findById(toId(value)).select("firstName lastName");
+};
+
+const wantsEmail = (user, type) => {
+  const preferences = user.notificationPreferences || {};
+
+  return (
+    preferences.email !== false &&
+    !(preferences.mutedEmailTypes || []).includes(type)
+  );
+};
+
+// Placeholder values for the email templates (see services/emailTemplates)
+const buildEmailVariables = async (advance, actor, variables) => {
+  const [requester, actingUser] = await Promise.all([
+    loadUser(advance.requester),
+    loadUser(actor),
+  ]);
+
+  return {
+    requesterName: fullName(requester),
+    requestNumber: advance.requestNumber,
+    amount: advance.amount,
+    purpose: advance.purpose,
+    status: advance.status.replace(/_/g, " "),
+    actorName: fullName(actingUser),
+    level: advance.currentApprovalLevel
+      ? describeLevel(advance.currentApprovalLevel)
+      : "",
+    dueDate: advance.expectedReturnDate
+      ? formatDate(advance.expectedReturnDate)
+      : "",
+    link: `${process.env.CLIENT_URL || "http://localhost:5173"}/advances/${
+      advance._id
+    }`,
+    ...variables,
+  };
+};
+
+// Queue the email copy of each notification for recipients who want it
+const emailNotifications = async (
+  notifications,
+  { advance, actor, variables }
+) => {
+  const recipients = await User.find({
+    _id: { $in: notifications.map((notification) => notification.recipient) },
+    isActive: true,
+  }).select("firstName email notificationPreferences");
+
+  if (recipients.length === 0) return;
+
+  const baseVariables = await buildEmailVariables(advance, actor, variables);
+
+  for (const notification of notifications) {
+    const recipient = recipients.find(
+      (user) => String(user._id) === String(notification.recipient)
+    );
+    if (!recipient || !wantsEmail(recipient, notification.type)) continue;
+
+    const email = await renderEmail(notification.type, {
+      ...baseVariables,
+      recipientName: recipient.firstName,
+    });
+    if (!email) continue;
+
+    await enqueueEmail({
+      to: recipient.email,
+      ...email,
+      recipient: recipient._id,
+      notification: notification._id,
+    });
+  }
+};
+
+// Create one notification per recipient and email it to those who want
+// email. The user who caused the event is not told about their own action.
+// `variables` adds email placeholder values such as the comment.
+const notify = async (
+  recipients,
+  { type, title, message, advance, actor, variables = {} }
+) => {
+  const actorId = toId(actor);
+  const recipientIds = [
+    ...new Set(recipients.map(toId).filter(Boolean)),
+  ].filter((id) => id !== actorId);
+
+  if (recipientIds.length === 0) {
+    return [];
+  }
+
+  const created = await Notification.insertMany(
+    recipientIds.map((recipient) => ({
+      recipient,
+      type,
+      title,
+      message,
+      advance: advance._id,
+      actor: actorId || undefined,
+    }))
+  );
+
+  await emailNotifications(created, { advance, actor, variables });
+  return created;
+};
+
+// Tell whoever decides the request's current level that it is waiting on them
+const notifyLevelApprovers = async (advance, actor) => {
+  const level = advance.currentApprovalLevel;
+  if (!level) return;
+
+  const approvers = await findLevelApprovers(advance.requester, level);
+
+  await notify(
+    approvers.filter((approver) => toId(approver) !== toId(advance.requester)),
+    {
+      type: "approval_required",
+      title: "Advance request awaiting your approval",
+      message: `${advance.requestNumber} for ${
+        advance.amount
+      } needs ${describeLevel(level)} approval.`,
+      advance,
+      actor,
+    }
+  );
+};
+
+// Active users whose role grants the permission
+const findPermissionHolders = async (permission) =>
+  User.find({
+    role: { $in: await getRolesWithPermission(permission) },
+    isActive: true,
+  }).select("_id");
+
+// Tell finance that a fully approved request is waiting on their sign-off
+const notifyFinanceReviewers = async (advance, actor) => {
+  const reviewers = await findPermissionHolders("finance.review");
+
+  await notify(
+    reviewers.filter((reviewer) => toId(reviewer) !== toId(advance.requester)),
+    {
+      type: "approval_required",
+      title: "Advance request awaiting finance approval",
+      message: `${advance.requestNumber} for ${advance.amount} has been fully approved and needs finance approval.`,
+      advance,
+      actor,
+      variables: { level: "finance" },
+    }
+  );
+};
+
+// Tell everyone who can verify retirements that one is waiting on them
+const notifyRetirementReviewers = async (advance, actor, comment) => {
+  const reviewers = await findPermissionHolders("retirement.review");
+
+  await notify(reviewers, {
+    type: "retirement_submitted",
+    title: "Retirement awaiting verification",
+    message: `The retirement of ${advance.requestNumber} is waiting on finance verification${
+      comment ? `: ${comment}` : "."
+    }`,
+    advance,
+    actor,
+    variables: { comment },
+  });
+};
+
+const notifyRequester = (advance, actor, notification) =>
+  notify([advance.requester], { ...notification, advance, actor });
+
+const describeApproval = (advance) => {
+  if (advance.status === "pending") {
+    return `${advance.requestNumber} was approved and is now waiting on ${describeLevel(
+      advance.currentApprovalLevel
+    )} approval.`;
+  }
+  if (advance.status === "manager_approved") {
+    return `${advance.requestNumber} has been fully approved and sent to finance for review.`;
+  }
+  return `${advance.requestNumber} has been approved by finance and is awaiting disbursement.`;
+};
+
+const registerNotificationHandlers = () => {
+  onAdvanceEvent("advance.submitted", async ({ advance, actor }) => {
+    await notifyRequester(advance, null, {
+      type: "advance_submitted",
+      title: "Advance request submitted",
+      message: `${advance.requestNumber} was submitted and is waiting on ${describeLevel(
+        advance.currentApprovalLevel || "manager"
+      )} approval.`,
+    });
+    await notifyLevelApprovers(advance, actor);
+  });
+
+  onAdvanceEvent("advance.approved", async ({ advance, actor }) => {
+    await notifyRequester(advance, actor, {
+      type: "advance_approved",
+      title: "Advance request approved",
+      message: describeApproval(advance),
+    });
+
+    if (advance.status === "pending") {
+      await notifyLevelApprovers(advance, actor);
+    }
+
+    if (advance.status === "manager_approved") {
+      await notifyFinanceReviewers(advance, actor);
+    }
+  });
+
+  onAdvanceEvent("advance.rejected", ({ advance, actor, comment }) =>
+    notifyRequester(advance, actor, {
+      type: "advance_rejected",
+      title: "Advance request rejected",
+      message: `${advance.requestNumber} was rejected${
+        comment ? `: ${comment}` : "."
+      }`,
+      variables: { comment },
+    })
+  );
+
+  onAdvanceEvent("advance.disbursed", ({ advance, actor }) =>
+    notifyRequester(advance, actor, {
+      type: "advance_disbursed",
+      title: "Advance disbursed",
+      message: `${advance.disbursement.disbursedAmount} was disbursed for ${
+        advance.requestNumber
+      }. Retire it by ${formatDate(advance.expectedReturnDate)}.`,
+    })
+  );
+
+  onAdvanceEvent("advance.retirement_due", ({ advance }) =>
+    notifyRequester(advance, null, {
+      type: "retirement_due",
+      title:
+        advance.expectedReturnDate < new Date()
+          ? "Advance retirement overdue"
+          : "Advance retirement due soon",
+      message: `Retire ${advance.requestNumber} by ${formatDate(
+        advance.expectedReturnDate
+      )} by submitting your receipts.`,
+    })
+  );
+
+  onAdvanceEvent(
+    "advance.retirement_submitted",
+    ({ advance, actor, comment }) =>
+      notifyRetirementReviewers(advance, actor, comment)
+  );
+
+  onAdvanceEvent("advance.retirement_queried", ({ advance, actor, comment }) =>
+    notifyRequester(advance, actor, {
+      type: "retirement_queried",
+      title: "Question about your retirement",
+      message: `Finance has a question about ${advance.requestNumber}: ${comment}`,
+      variables: { comment },
+    })
+  );
+
+  onAdvanceEvent(
+    "advance.retirement_rejected",
+    ({ advance, actor, comment }) =>
+      notifyRequester(advance, actor, {
+        type: "retirement_rejected",
+        title: "Retirement sent back",
+        message: `The retirement of ${advance.requestNumber} was sent back: ${comment}`,
+        variables: { comment },
+      })
+  );
+
+  onAdvanceEvent("advance.retirement_verified", ({ advance, actor }) =>
+    notifyRequester(advance, actor, {
+      type: "retirement_verified",
+      title: "Retirement verified",
+      message: `The retirement of ${advance.requestNumber} has been verified and the advance is closed.`,
+    })
+  );
+};
+
+module.exports = {
+  notify,
+  registerNotificationHandlers,
+};
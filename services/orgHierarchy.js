@@ -0,0 +1,119 @@
+// services/orgHierarchy.js
+//
+// Reporting lines between users, built from User.managerId. A manager's team
+// is everyone who reports to them directly or through their own reports.
+const mongoose = require("mongoose");
+const User = require("../models/User");
+
+const ORG_CHART_FIELDS =
+  "firstName lastName email employeeId position department role managerId";
+
+// Active users reporting to the manager, with their depth below the manager
+// (0 = direct report). Inactive users still connect the chain below them.
+const getReports = async (managerId, { directOnly = false } = {}) => {
+  const [result] = await User.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(managerId)) } },
+    {
+      $graphLookup: {
+        from: User.collection.name,
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "managerId",
+        as: "reports",
+        depthField: "depth",
+        ...(directOnly ? { maxDepth: 0 } : {}),
+      },
+    },
+    {
+      $project: {
+        reports: {
+          $filter: {
+            input: "$reports",
+            as: "report",
+            cond: { $eq: ["$$report.isActive", true] },
+          },
+        },
+      },
+    },
+  ]);
+
+  return result ? result.reports : [];
+};
+
+// IDs of the manager's active reports, direct and indirect
+const getTeamMemberIds = async (manager, options) => {
+  const reports = await getReports(manager._id || manager, options);
+  return reports.map((report) => report._id);
+};
+
+// Whether the user reports to the manager somewhere down the line
+const isInTeam = async (manager, userId) => {
+  const teamMemberIds = await getTeamMemberIds(manager);
+  return teamMemberIds.some((id) => String(id) === String(userId));
+};
+
+// IDs of everyone above the user in the reporting line, nearest first. These
+// are the managers whose team includes the user.
+const getManagerIds = async (userId) => {
+  const managerIds = [];
+  const visited = new Set([String(userId)]);
+  let user = await User.findById(userId).select("managerId");
+
+  while (user && user.managerId && !visited.has(String(user.managerId))) {
+    managerIds.push(user.managerId);
+    visited.add(String(user.managerId));
+    user = await User.findById(user.managerId).select("managerId");
+  }
+
+  return managerIds;
+};
+
+// Whether making managerId the user's line manager would close a loop
+const wouldCreateCycle = async (userId, managerId) => {
+  if (String(userId) === String(managerId)) {
+    return true;
+  }
+
+  const reports = await getReports(userId);
+  return reports.some((report) => String(report._id) === String(managerId));
+};
+
+// Nested reporting tree below rootId, or the whole organisation (every active
+// user without a line manager as a root) when rootId is omitted
+const buildOrgChart = async (rootId) => {
+  const users = await User.find({ isActive: true })
+    .select(ORG_CHART_FIELDS)
+    .sort({ lastName: 1, firstName: 1 })
+    .lean();
+
+  const byId = new Map(
+    users.map((user) => [String(user._id), { ...user, reports: [] }])
+  );
+  const roots = [];
+
+  byId.forEach((node) => {
+    const parent = node.managerId && byId.get(String(node.managerId));
+
+    if (parent) {
+      parent.reports.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  if (rootId) {
+    const root = byId.get(String(rootId));
+    return root ? [root] : [];
+  }
+
+  return roots;
+};
+
+module.exports = {
+  getReports,
+  getTeamMemberIds,
+  isInTeam,
+  getManagerIds,
+  wouldCreateCycle,
+  buildOrgChart,
+};
@@ -0,0 +1,119 @@
+// services/passwordReset.js
+//
+// Forgotten-password flow: issue a one-time token by email, then swap it for
+// a new password. Tokens are hashed at rest, expire after
+// PASSWORD_RESET_TOKEN_TTL_MINUTES and are spent on first use.
+const crypto = require("crypto");
+const PasswordResetRequest = require("../models/PasswordResetRequest");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const User = require("../models/User");
+const { enqueueEmail } = require("./emailQueue");
+const { revokeAllSessions } = require("./session");
+const { resetFailedLogins } = require("./loginProtection");
+
+const TOKEN_TTL_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10) || 30;
+// Reset emails a single account can trigger per hour
+const MAX_REQUESTS_PER_HOUR =
+  parseInt(process.env.PASSWORD_RESET_MAX_PER_HOUR, 10) || 3;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const buildResetUrl = (token) =>
+  `${
+    process.env.CLIENT_URL || "http://localhost:5173"
+  }/reset-password?token=${encodeURIComponent(token)}`;
+
+// Queue a reset link email to the account, if it exists and is active.
+// Resolves to "sent", "rate_limited" or "no_account" without waiting for the
+// email to go out, so the time taken does not reveal whether the account
+// exists; callers must not reveal which either.
+const requestPasswordReset = async (email, req) => {
+  const user = await User.findOne({ email, isActive: true });
+
+  if (!user) {
+    return "no_account";
+  }
+
+  const recentRequests = await PasswordResetRequest.countDocuments({
+    user: user._id,
+    createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) },
+  });
+
+  if (recentRequests >= MAX_REQUESTS_PER_HOUR) {
+    return "rate_limited";
+  }
+
+  await PasswordResetRequest.create({ user: user._id, requestedIp: req.ip });
+
+  // Only the newest link works
+  await PasswordResetToken.updateMany(
+    { user: user._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await PasswordResetToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000),
+    requestedIp: req.ip,
+  });
+
+  await enqueueEmail({
+    to: user.email,
+    subject: "Reset your Cash Advance password",
+    text: [
+      `Hello ${user.firstName},`,
+      "",
+      "We received a request to reset your password. Use the link below to choose a new one:",
+      buildResetUrl(token),
+      "",
+      `The link expires in ${TOKEN_TTL_MINUTES} minutes and can only be used once.`,
+      "If you did not ask for this, you can ignore this email.",
+    ].join("\n"),
+    recipient: user._id,
+  });
+
+  return "sent";
+};
+
+// Set a new password using a reset token. Resolves to the user, or null when
+// the token is unknown, used or expired.
+const resetPassword = async (token, newPassword) => {
+  // Claim the token atomically so it cannot be used twice
+  const resetToken = await PasswordResetToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } }
+  );
+
+  if (!resetToken) {
+    return null;
+  }
+
+  const user = await User.findOne({ _id: resetToken.user, isActive: true });
+
+  if (!user) {
+    return null;
+  }
+
+  user.password = newPassword;
+  // Proving access to the mailbox also lifts any login lockout
+  resetFailedLogins(user);
+  await user.save();
+
+  // Whoever knew the old password is signed out
+  await revokeAllSessions(user._id, { reason: "password_reset" });
+
+  return user;
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+};
@@ -0,0 +1,175 @@
+// services/permissions.js
+//
+// What each role is allowed to do. Routes ask for a permission (see
+// requirePermission in middleware/auth) rather than naming roles, and the
+// role -> permissions mapping is stored in RolePermission so admins can change
+// it without a deploy. Roles with no stored mapping use DEFAULT_ROLE_PERMISSIONS.
+const RolePermission = require("../models/RolePermission");
+
+const PERMISSIONS = {
+  "advance.view.team": "View requests from people who report to you",
+  "advance.view.all": "View any advance request",
+  "advance.approve":
+    "Approve or reject requests in the approval chain at the levels you hold",
+  "advance.approve.team":
+    "Approve at the manager level of the approval chain, for your reports",
+  "advance.approve.all":
+    "Approve at the admin level of the approval chain, for anyone",
+  "advance.delete": "Delete advance requests",
+  "finance.review": "Review manager-approved requests for finance sign-off",
+  "advance.disburse": "Disburse approved advances",
+  "retirement.review": "Review, query and decide retirements",
+  "report.view": "View advance reports",
+  "report.view.all": "View organisation-wide reports and budgets",
+  "budget.view": "View department advance budgets",
+  "budget.manage": "Create and change department advance budgets",
+  "department.manage": "Create, change and delete departments",
+  "policy.manage": "Manage advance policy rules",
+  "approval_rule.view": "View the delegation-of-authority matrix",
+  "approval_rule.manage": "Change the delegation-of-authority matrix",
+  "delegation.manage": "Revoke anyone's approval delegations",
+  "user.view": "View user profiles and the user directory",
+  "user.manage": "Change other users' profiles, roles, status and access",
+  "user.invite": "Invite people to register",
+  "audit.view": "View the audit log",
+  "role.manage": "Change the permissions granted to each role",
+  "email_template.manage": "Edit the notification email templates",
+  "sod.manage":
+    "Configure segregation-of-duties rules and review their conflicts",
+  "webhook.manage": "Register outgoing webhooks and review their deliveries",
+};
+
+const ROLES = RolePermission.schema.path("role").enumValues;
+
+// Matches the access each role had before permissions were configurable
+const DEFAULT_ROLE_PERMISSIONS = {
+  staff: [],
+  manager: [
+    "advance.view.team",
+    "advance.approve",
+    "advance.approve.team",
+    "report.view",
+    "budget.view",
+    "approval_rule.view",
+    "user.view",
+  ],
+  finance: [
+    "advance.view.all",
+    "advance.approve",
+    "finance.review",
+    "advance.disburse",
+    "retirement.review",
+    "report.view",
+    "report.view.all",
+    "budget.view",
+    "budget.manage",
+    "approval_rule.view",
+    "user.view",
+  ],
+  // Admins approve at the admin level; the manager level is left to line
+  // managers so an admin cannot also sign off the first step
+  admin: Object.keys(PERMISSIONS).filter(
+    (permission) => permission !== "advance.approve.team"
+  ),
+};
+
+// Stored mappings are cached per process for a short while; changes made
+// through setRolePermissions() or resetRolePermissions() take effect here at
+// once, other processes pick them up when their cache expires
+const CACHE_TTL_MS =
+  (parseInt(process.env.PERMISSION_CACHE_SECONDS, 10) || 60) * 1000;
+const cache = new Map();
+
+const isKnownPermission = (permission) =>
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+const getRolePermissions = async (role) => {
+  const cached = cache.get(role);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const mapping = await RolePermission.findOne({ role });
+  const permissions = mapping
+    ? mapping.permissions.filter(isKnownPermission)
+    : DEFAULT_ROLE_PERMISSIONS[role] || [];
+
+  cache.set(role, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+// Whether the user's role grants any of the given permissions
+const hasPermission = async (user, ...permissions) => {
+  const granted = await getRolePermissions(user.role);
+
+  return permissions.some((permission) => granted.includes(permission));
+};
+
+// Roles whose current permission set includes the permission
+const getRolesWithPermission = async (permission) => {
+  const roles = [];
+
+  for (const role of ROLES) {
+    if ((await getRolePermissions(role)).includes(permission)) {
+      roles.push(role);
+    }
+  }
+
+  return roles;
+};
+
+// Every role with its effective permissions and whether they are the defaults
+const listRolePermissions = async () => {
+  const mappings = await RolePermission.find().populate(
+    "updatedBy",
+    "firstName lastName"
+  );
+
+  return ROLES.map((role) => {
+    const mapping = mappings.find((entry) => entry.role === role);
+
+    return {
+      role,
+      permissions: mapping
+        ? mapping.permissions.filter(isKnownPermission)
+        : DEFAULT_ROLE_PERMISSIONS[role],
+      isDefault: !mapping,
+      updatedBy: mapping ? mapping.updatedBy : null,
+      updatedAt: mapping ? mapping.updatedAt : null,
+    };
+  });
+};
+
+// Store a role's permission set in place of its defaults
+const setRolePermissions = async (role, permissions, updatedBy) => {
+  const mapping = await RolePermission.findOneAndUpdate(
+    { role },
+    { $set: { permissions: [...new Set(permissions)], updatedBy } },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  cache.delete(role);
+  return mapping;
+};
+
+// Drop a role's stored permission set so it uses the defaults again.
+// Returns the removed mapping, or null when the role already used them.
+const resetRolePermissions = async (role) => {
+  const mapping = await RolePermission.findOneAndDelete({ role });
+
+  cache.delete(role);
+  return mapping;
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  isKnownPermission,
+  getRolePermissions,
+  hasPermission,
+  getRolesWithPermission,
+  listRolePermissions,
+  setRolePermissions,
+  resetRolePermissions,
+};
@@ -0,0 +1,156 @@
+// services/realtime.js
+//
+// Server-Sent Events for live dashboards. Each open GET /api/events/stream
+// connection is registered here, and advance workflow events are pushed to
+// the connected users who can see the request: the requester, the managers
+// above them, whoever the request is now waiting on, and users who can view
+// every advance. Connections live in this process only, so with several API
+// instances a client only hears about changes made through its own instance.
+const Session = require("../models/Session");
+const { ADVANCE_EVENTS, onAdvanceEvent } = require("./advanceEvents");
+const { findLevelApprovers } = require("./approvalAuthority");
+const { getManagerIds } = require("./orgHierarchy");
+const { hasPermission } = require("./permissions");
+
+// Keeps proxies from closing an idle stream and notices ended sessions
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// userId -> Set of { user, res, sessionId }
+const clients = new Map();
+
+const toId = (value) => (value ? String(value._id || value) : null);
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const removeClient = (client) => {
+  const userClients = clients.get(toId(client.user));
+  if (!userClients) return;
+
+  userClients.delete(client);
+  if (userClients.size === 0) {
+    clients.delete(toId(client.user));
+  }
+};
+
+// Register a stream for the authenticated request and keep it open until
+// the client disconnects or the session ends
+const openStream = (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const client = { user: req.user, res, sessionId: req.sessionId };
+  const userId = toId(req.user);
+
+  if (!clients.has(userId)) {
+    clients.set(userId, new Set());
+  }
+  clients.get(userId).add(client);
+
+  res.write("retry: 5000\n\n");
+  writeEvent(res, "connected", { userId, events: ADVANCE_EVENTS });
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const session = await Session.findOne({
+        _id: client.sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).select("_id");
+
+      if (!session) {
+        writeEvent(res, "session_ended", {
+          message: "Session has ended. Please log in again.",
+        });
+        res.end();
+        return;
+      }
+
+      res.write(": heartbeat\n\n");
+    } catch (error) {
+      console.error("Event stream heartbeat error:", error);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    removeClient(client);
+  });
+};
+
+// Connected users who can see the advance
+const findAudience = async (advance) => {
+  const requesterId = toId(advance.requester);
+  const audience = new Set([requesterId]);
+
+  (await getManagerIds(requesterId)).forEach((id) => audience.add(toId(id)));
+
+  if (advance.status === "pending" && advance.currentApprovalLevel) {
+    const approvers = await findLevelApprovers(
+      requesterId,
+      advance.currentApprovalLevel
+    );
+    approvers.forEach((approver) => audience.add(toId(approver)));
+  }
+
+  for (const [userId, userClients] of clients) {
+    if (audience.has(userId)) continue;
+
+    const [{ user }] = userClients;
+    if (await hasPermission(user, "advance.view.all")) {
+      audience.add(userId);
+    }
+  }
+
+  return [...audience].filter((userId) => clients.has(userId));
+};
+
+const publishAdvanceEvent = async ({ event, occurredAt, advance, actor }) => {
+  if (clients.size === 0) return;
+
+  const data = {
+    event,
+    occurredAt,
+    advance: {
+      _id: advance._id,
+      requestNumber: advance.requestNumber,
+      requester: toId(advance.requester),
+      amount: advance.amount,
+      status: advance.status,
+      currentApprovalLevel: advance.currentApprovalLevel,
+    },
+    actor: actor
+      ? {
+          _id: toId(actor),
+          firstName: actor.firstName,
+          lastName: actor.lastName,
+        }
+      : null,
+  };
+
+  for (const userId of await findAudience(advance)) {
+    clients
+      .get(userId)
+      .forEach((client) => writeEvent(client.res, event, data));
+  }
+};
+
+const registerRealtimeHandlers = () => {
+  ADVANCE_EVENTS.forEach((event) => onAdvanceEvent(event, publishAdvanceEvent));
+};
+
+// Number of open streams, for monitoring
+const getConnectionCount = () =>
+  [...clients.values()].reduce((sum, userClients) => sum + userClients.size, 0);
+
+module.exports = {
+  openStream,
+  registerRealtimeHandlers,
+  getConnectionCount,
+};
@@ -0,0 +1,111 @@
+// services/registration.js
+//
+// Who may create an account through POST /api/auth/register.
+// REGISTRATION_MODE selects the policy:
+//   closed: nobody, not even with an invitation
+//   invite: only holders of an admin-issued invitation (the default)
+//   domain: invitations, plus self sign-up from REGISTRATION_ALLOWED_DOMAINS
+//   open:   anyone, still limited to the allowed domains when any are set
+// Self sign-up always creates a staff account; only invitations carry a role.
+const crypto = require("crypto");
+const Invitation = require("../models/Invitation");
+const { sendMail } = require("./mail");
+
+const REGISTRATION_MODES = ["closed", "invite", "domain", "open"];
+const INVITATION_TTL_DAYS =
+  parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+const getRegistrationMode = () => {
+  const mode = process.env.REGISTRATION_MODE || "invite";
+
+  if (!REGISTRATION_MODES.includes(mode)) {
+    throw new Error(`Unknown REGISTRATION_MODE: ${mode}`);
+  }
+
+  return mode;
+};
+
+const getAllowedDomains = () =>
+  (process.env.REGISTRATION_ALLOWED_DOMAINS || "")
+    .split(",")
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean);
+
+const isEmailDomainAllowed = (email) => {
+  const allowedDomains = getAllowedDomains();
+  const domain = email.split("@").pop().toLowerCase();
+
+  return allowedDomains.length === 0 || allowedDomains.includes(domain);
+};
+
+// Reason a self sign-up (no invitation) is refused, or null when allowed
+const checkSelfRegistration = (email) => {
+  const mode = getRegistrationMode();
+
+  if (mode === "closed" || mode === "invite") {
+    return "Registration is by invitation only";
+  }
+
+  if (mode === "domain" && getAllowedDomains().length === 0) {
+    return "Registration is by invitation only";
+  }
+
+  if (!isEmailDomainAllowed(email)) {
+    return "Registration is not open to this email domain";
+  }
+
+  return null;
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const buildInvitationUrl = (token) =>
+  `${
+    process.env.CLIENT_URL || "http://localhost:5173"
+  }/register?invitation=${encodeURIComponent(token)}`;
+
+// Give the invitation a new token and expiry, and email the link. The
+// invitation is saved here.
+const sendInvitation = async (invitation, inviter) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(
+    Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+  await invitation.save();
+
+  await sendMail({
+    to: invitation.email,
+    subject: "You have been invited to Cash Advance",
+    text: [
+      "Hello,",
+      "",
+      `${inviter.firstName} ${inviter.lastName} has invited you to create a Cash Advance account.`,
+      "Use the link below to register:",
+      buildInvitationUrl(token),
+      "",
+      `The invitation expires in ${INVITATION_TTL_DAYS} days.`,
+    ].join("\n"),
+  });
+
+  return invitation;
+};
+
+// The pending invitation for a token, or null when it is unknown, used,
+// revoked or expired
+const findPendingInvitation = (token) =>
+  Invitation.findOne({
+    tokenHash: hashToken(String(token)),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+module.exports = {
+  getRegistrationMode,
+  checkSelfRegistration,
+  sendInvitation,
+  findPendingInvitation,
+};
@@ -0,0 +1,293 @@
+// services/reminders.js
+//
+// Daily reminders that chase advances nobody is acting on:
+//   - retirement due soon: one notice RETIREMENT_DUE_NOTICE_DAYS (default 3)
+//     before the deadline, through the advance.retirement_due event
+//   - retirement overdue: the employee is reminded every
+//     RETIREMENT_REMINDER_INTERVAL_DAYS (default 3) once the deadline has
+//     passed; from RETIREMENT_ESCALATION_DAYS (default 7) overdue their line
+//     manager is reminded too
+//   - approval overdue: whoever decides the current approval level, or
+//     finance once the chain is complete, is reminded every
+//     APPROVAL_SLA_DAYS (default 2) the request has waited on them
+// Overdue reminders are recorded in advance.reminders. A reminder is only
+// recorded if no other was sent in the same interval, so running the
+// scheduler in several processes, or the script as well, does not send
+// duplicates.
+const Advance = require("../models/Advance");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { emitAdvanceEvent } = require("./advanceEvents");
+const { findLevelApprovers } = require("./approvalAuthority");
+const { notify } = require("./notifications");
+const { getManagerIds } = require("./orgHierarchy");
+const { getRolesWithPermission } = require("./permissions");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DUE_NOTICE_DAYS =
+  parseInt(process.env.RETIREMENT_DUE_NOTICE_DAYS, 10) || 3;
+const RETIREMENT_INTERVAL_DAYS =
+  parseInt(process.env.RETIREMENT_REMINDER_INTERVAL_DAYS, 10) || 3;
+const ESCALATION_DAYS =
+  parseInt(process.env.RETIREMENT_ESCALATION_DAYS, 10) || 7;
+const APPROVAL_SLA_DAYS = parseInt(process.env.APPROVAL_SLA_DAYS, 10) || 2;
+// Local hour of the day after which the scheduler sends the day's reminders
+const REMINDER_HOUR = Number.isNaN(parseInt(process.env.REMINDER_HOUR, 10))
+  ? 8
+  : parseInt(process.env.REMINDER_HOUR, 10);
+
+// Statuses in which retiring the advance is still up to the employee
+const UNRETIRED_STATUSES = ["disbursed", "retirement_queried"];
+
+const toId = (value) => (value ? String(value._id || value) : null);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Record a reminder on the advance unless one of the same kind (and level)
+// was sent on any of the last `intervalDays` days. Resolves to true when
+// this call recorded it and the reminder should go out.
+const claimReminder = async (advance, reminder, intervalDays, now) => {
+  const since = new Date(
+    startOfDay(now).getTime() - (intervalDays - 1) * DAY_MS
+  );
+  const recent = { kind: reminder.kind, sentAt: { $gte: since } };
+  if (reminder.approvalLevel) {
+    recent.approvalLevel = reminder.approvalLevel;
+  }
+
+  const result = await Advance.updateOne(
+    { _id: advance._id, reminders: { $not: { $elemMatch: recent } } },
+    { $push: { reminders: { ...reminder, sentAt: now } } },
+    { timestamps: false }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Tell employees about advances due for retirement soon, once per advance.
+// Returns the advances notified.
+const notifyRetirementsDue = async ({
+  now = new Date(),
+  dryRun = false,
+} = {}) => {
+  const dueBy = new Date(now.getTime() + DUE_NOTICE_DAYS * DAY_MS);
+
+  const advances = await Advance.find({
+    status: { $in: UNRETIRED_STATUSES },
+    expectedReturnDate: { $lte: dueBy },
+    isActive: true,
+  });
+
+  const alreadyNotified = await Notification.distinct("advance", {
+    type: "retirement_due",
+    advance: { $in: advances.map((advance) => advance._id) },
+  });
+  const notifiedIds = alreadyNotified.map(String);
+
+  const due = advances.filter(
+    (advance) => !notifiedIds.includes(String(advance._id))
+  );
+
+  if (!dryRun) {
+    for (const advance of due) {
+      await emitAdvanceEvent("advance.retirement_due", { advance });
+    }
+  }
+
+  return due;
+};
+
+// Remind employees of retirements past their deadline, escalating to their
+// line manager once the advance is ESCALATION_DAYS overdue. Returns
+// { advance, daysOverdue, escalated } for each reminder sent.
+const remindOverdueRetirements = async ({
+  now = new Date(),
+  dryRun = false,
+} = {}) => {
+  const advances = await Advance.find({
+    status: { $in: UNRETIRED_STATUSES },
+    expectedReturnDate: { $lt: now },
+    isActive: true,
+  }).sort({ expectedReturnDate: 1 });
+
+  const sent = [];
+
+  for (const advance of advances) {
+    const daysOverdue = Math.floor(
+      (now - advance.expectedReturnDate) / DAY_MS
+    );
+    const [managerId] =
+      daysOverdue >= ESCALATION_DAYS
+        ? await getManagerIds(advance.requester)
+        : [];
+    const escalated = Boolean(managerId);
+
+    const claimed =
+      dryRun ||
+      (await claimReminder(
+        advance,
+        {
+          kind: "retirement_overdue",
+          recipients: [advance.requester, managerId].filter(Boolean),
+          days: daysOverdue,
+          escalated,
+        },
+        RETIREMENT_INTERVAL_DAYS,
+        now
+      ));
+    if (!claimed) continue;
+
+    sent.push({ advance, daysOverdue, escalated });
+    if (dryRun) continue;
+
+    const dueDate = formatDate(advance.expectedReturnDate);
+
+    await notify([advance.requester], {
+      type: "retirement_overdue",
+      title: "Advance retirement overdue",
+      message: `${advance.requestNumber} was due for retirement on ${dueDate} and is ${daysOverdue} day(s) overdue. Submit your receipts as soon as possible.`,
+      advance,
+      variables: { daysOverdue },
+    });
+
+    if (escalated) {
+      await notify([managerId], {
+        type: "retirement_escalated",
+        title: "Overdue retirement in your team",
+        message: `${advance.requestNumber} was due for retirement on ${dueDate} and is ${daysOverdue} day(s) overdue.`,
+        advance,
+        variables: { daysOverdue },
+      });
+    }
+  }
+
+  return sent;
+};
+
+// When the request started waiting on its current approval: the last
+// decision on it, or when it was made
+const getWaitingSince = (advance) =>
+  advance.approvals.reduce(
+    (latest, approval) =>
+      approval.date && approval.date > latest ? approval.date : latest,
+    advance.requestDate || advance.createdAt
+  );
+
+const findFinanceReviewers = async () =>
+  User.find({
+    role: { $in: await getRolesWithPermission("finance.review") },
+    isActive: true,
+  }).select("_id");
+
+// Remind approvers of requests that have waited on them longer than
+// APPROVAL_SLA_DAYS. Returns { advance, level, daysWaiting } for each
+// reminder sent.
+const remindStaleApprovals = async ({
+  now = new Date(),
+  dryRun = false,
+} = {}) => {
+  // Nothing made more recently can have waited longer than the SLA
+  const madeBefore = new Date(now.getTime() - APPROVAL_SLA_DAYS * DAY_MS);
+
+  const advances = await Advance.find({
+    status: { $in: ["pending", "manager_approved"] },
+    requestDate: { $lte: madeBefore },
+    isActive: true,
+  }).sort({ requestDate: 1 });
+
+  const sent = [];
+  let financeReviewers;
+
+  for (const advance of advances) {
+    const daysWaiting = Math.floor((now - getWaitingSince(advance)) / DAY_MS);
+    if (daysWaiting < APPROVAL_SLA_DAYS) continue;
+
+    const level = advance.getCurrentApprovalLevel() || "finance";
+    let approvers;
+
+    if (level === "finance") {
+      financeReviewers = financeReviewers || (await findFinanceReviewers());
+      approvers = financeReviewers;
+    } else {
+      approvers = await findLevelApprovers(advance.requester, level);
+    }
+
+    const recipients = approvers
+      .map(toId)
+      .filter((id) => id !== toId(advance.requester));
+    if (recipients.length === 0) continue;
+
+    const claimed =
+      dryRun ||
+      (await claimReminder(
+        advance,
+        {
+          kind: "approval_overdue",
+          recipients,
+          approvalLevel: level,
+          days: daysWaiting,
+        },
+        APPROVAL_SLA_DAYS,
+        now
+      ));
+    if (!claimed) continue;
+
+    sent.push({ advance, level, daysWaiting });
+    if (dryRun) continue;
+
+    const levelName = level.replace("_", " ");
+
+    await notify(recipients, {
+      type: "approval_overdue",
+      title: "Advance request still awaiting your approval",
+      message: `${advance.requestNumber} for ${advance.amount} has been waiting on ${levelName} approval for ${daysWaiting} day(s).`,
+      advance,
+      variables: { level: levelName, daysWaiting },
+    });
+  }
+
+  return sent;
+};
+
+// Run every reminder once. Returns what each step sent.
+const runReminders = async (options = {}) => ({
+  due: await notifyRetirementsDue(options),
+  overdueRetirements: await remindOverdueRetirements(options),
+  staleApprovals: await remindStaleApprovals(options),
+});
+
+let schedulerTimer = null;
+let lastRunDate = null;
+
+// Send the day's reminders once REMINDER_HOUR has passed, checking every 15
+// minutes in this process
+const startReminderScheduler = () => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(() => {
+    const now = new Date();
+    const today = now.toDateString();
+    if (lastRunDate === today || now.getHours() < REMINDER_HOUR) return;
+
+    lastRunDate = today;
+    runReminders({ now }).catch((error) =>
+      console.error("Reminder scheduler error:", error)
+    );
+  }, 15 * 60 * 1000);
+  schedulerTimer.unref();
+};
+
+module.exports = {
+  notifyRetirementsDue,
+  remindOverdueRetirements,
+  remindStaleApprovals,
+  runReminders,
+  startReminderScheduler,
+};
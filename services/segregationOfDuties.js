@@ -0,0 +1,197 @@
+// services/segregationOfDuties.js
+//
+// Segregation-of-duties (SoD) rules: pairs of duties on one advance that
+// must be done by different people. The workflow checks the enabled rules on
+// every action (see services/advanceWorkflow); the same rules drive the
+// report of conflicts already in the data.
+const SodRule = require("../models/SodRule");
+
+// Review thread actions that count as verifying a retirement
+const VERIFY_ACTIONS = ["queried", "approved", "rejected"];
+
+const toId = (value) => (value ? String(value._id || value) : null);
+
+const uniqueIds = (values) => [...new Set(values.map(toId).filter(Boolean))];
+
+const getRequester = (advance) => uniqueIds([advance.requester]);
+
+// Everyone who decided an approval step or the finance sign-off, including
+// the absent approvers delegates stood in for
+const getApprovers = (advance) =>
+  uniqueIds(
+    (advance.approvals || []).flatMap((approval) => [
+      approval.approver,
+      approval.onBehalfOf,
+    ])
+  );
+
+const getDisburser = (advance) =>
+  uniqueIds([advance.disbursement && advance.disbursement.disbursedBy]);
+
+// Aggregation expressions for the same sets of users, so the conflicts
+// report can be worked out in MongoDB
+const optionalId = (path) => ({
+  $cond: [{ $ifNull: [path, false] }, [path], []],
+});
+
+const REQUESTER_EXPRESSION = ["$requester"];
+
+const APPROVERS_EXPRESSION = {
+  $setUnion: [
+    { $ifNull: ["$approvals.approver", []] },
+    { $ifNull: ["$approvals.onBehalfOf", []] },
+  ],
+};
+
+const DISBURSER_EXPRESSION = optionalId("$disbursement.disbursedBy");
+
+const VERIFIERS_EXPRESSION = {
+  $setUnion: [
+    {
+      $map: {
+        input: {
+          $filter: {
+            input: { $ifNull: ["$retirement.reviewThread", []] },
+            as: "entry",
+            cond: { $in: ["$$entry.action", VERIFY_ACTIONS] },
+          },
+        },
+        as: "entry",
+        in: "$$entry.author",
+      },
+    },
+    optionalId("$retirement.verifiedBy"),
+  ],
+};
+
+// Users who have already done each duty on the advance, as an aggregation
+// expression
+const DUTY_PERFORMER_EXPRESSIONS = {
+  approve: APPROVERS_EXPRESSION,
+  disburse: DISBURSER_EXPRESSION,
+  verify_retirement: VERIFIERS_EXPRESSION,
+};
+
+// rule -> { description, message, duty, conflictsWith,
+//           conflictsWithExpression }
+//   duty:                    duty the rule restricts
+//   conflictsWith:           users who may not do that duty on the advance
+//   conflictsWithExpression: the same users as an aggregation expression
+const SOD_RULES = {
+  requester_approver: {
+    description: "The requester cannot approve or reject their own request",
+    message: "You cannot decide on your own advance request",
+    duty: "approve",
+    conflictsWith: getRequester,
+    conflictsWithExpression: REQUESTER_EXPRESSION,
+  },
+  requester_disburser: {
+    description: "The requester cannot disburse their own advance",
+    message: "You cannot disburse your own advance",
+    duty: "disburse",
+    conflictsWith: getRequester,
+    conflictsWithExpression: REQUESTER_EXPRESSION,
+  },
+  requester_verifier: {
+    description:
+      "The requester cannot verify the retirement of their own advance",
+    message: "You cannot verify the retirement of your own advance",
+    duty: "verify_retirement",
+    conflictsWith: getRequester,
+    conflictsWithExpression: REQUESTER_EXPRESSION,
+  },
+  approver_disburser: {
+    description: "Someone who approved a request cannot disburse it",
+    message: "You approved this request, so someone else must disburse it",
+    duty: "disburse",
+    conflictsWith: getApprovers,
+    conflictsWithExpression: APPROVERS_EXPRESSION,
+  },
+  disburser_verifier: {
+    description: "Whoever disbursed an advance cannot verify its retirement",
+    message:
+      "You disbursed this advance, so someone else must verify its retirement",
+    duty: "verify_retirement",
+    conflictsWith: getDisburser,
+    conflictsWithExpression: DISBURSER_EXPRESSION,
+  },
+};
+
+// Every rule with its current setting
+const listSodRules = async () => {
+  const settings = await SodRule.find().populate(
+    "updatedBy",
+    "firstName lastName"
+  );
+
+  return Object.entries(SOD_RULES).map(([rule, definition]) => {
+    const setting = settings.find((entry) => entry.rule === rule);
+
+    return {
+      rule,
+      description: definition.description,
+      duty: definition.duty,
+      isEnabled: setting ? setting.isEnabled : true,
+      updatedBy: setting ? setting.updatedBy : null,
+      updatedAt: setting ? setting.updatedAt : null,
+    };
+  });
+};
+
+const getEnabledRules = async () => {
+  const disabled = await SodRule.find({ isEnabled: false }).distinct("rule");
+
+  return Object.keys(SOD_RULES).filter((rule) => !disabled.includes(rule));
+};
+
+// The first enabled rule the users would break by doing the duty on the
+// advance, as { rule, message }, or null. `users` are the actor and anyone
+// they act on behalf of.
+const findSodViolation = async (advance, duty, users) => {
+  const userIds = uniqueIds(users);
+
+  for (const rule of await getEnabledRules()) {
+    const definition = SOD_RULES[rule];
+
+    if (
+      definition.duty === duty &&
+      definition.conflictsWith(advance).some((id) => userIds.includes(id))
+    ) {
+      return { rule, message: definition.message };
+    }
+  }
+
+  return null;
+};
+
+// Aggregation stages that turn each advance into one document per conflict
+// already recorded on it, whether or not the rules were enforced at the
+// time, with the conflict in `conflict: { rule, user }`
+const buildConflictStages = (rules = Object.keys(SOD_RULES)) => [
+  {
+    $set: {
+      conflict: {
+        $concatArrays: rules.map((rule) => ({
+          $map: {
+            input: {
+              $setIntersection: [
+                DUTY_PERFORMER_EXPRESSIONS[SOD_RULES[rule].duty],
+                SOD_RULES[rule].conflictsWithExpression,
+              ],
+            },
+            as: "user",
+            in: { rule, user: "$$user" },
+          },
+        })),
+      },
+    },
+  },
+  { $unwind: "$conflict" },
+];
+
+module.exports = {
+  SOD_RULES,
+  listSodRules,
+  findSodViolation,
+  buildConflictStages,
+};
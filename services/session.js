@@ -0,0 +1,141 @@
+// services/session.js
+//
+// Short-lived access tokens backed by server-side sessions. Each sign-in
+// creates a Session; the access token carries its ID (`sid`) so revoking the
+// session cuts off the token immediately. Refresh tokens rotate on every use
+// and presenting an already-used one revokes the whole session.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const getSecret = () => {
+  const secret = process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error("JWT_SECRET is not defined in environment variables");
+  }
+
+  return secret;
+};
+
+const generateAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, getSecret(), {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found
+// without scanning hashes
+const generateRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(48).toString("base64url")}`;
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const issueTokens = (session, refreshToken) => ({
+  accessToken: generateAccessToken(session.user, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+  refreshExpiresAt: session.expiresAt,
+});
+
+// Start a session for the user signing in from this request
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    expiresAt: refreshExpiry(),
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, ...issueTokens(session, refreshToken) };
+};
+
+// Swap a refresh token for a new token pair. Returns null when the token is
+// unknown, expired or revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split(".");
+
+  if (!/^[a-f0-9]{24}$/i.test(sessionId)) {
+    return null;
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken(sessionId);
+
+  // Swap the hashes in one step, so two refreshes with the same token cannot
+  // both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        previousTokenHash: presentedHash,
+        refreshTokenHash: hashToken(nextRefreshToken),
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // An already-rotated token was replayed, or lost a race with another
+    // refresh using it: assume it leaked
+    await Session.updateOne(
+      { _id: sessionId, previousTokenHash: presentedHash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "token_reuse" } }
+    );
+
+    return null;
+  }
+
+  return { session, ...issueTokens(session, nextRefreshToken) };
+};
+
+const revokeSession = (sessionId, reason = "logout") =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+// Revoke every active session of the user, optionally keeping one (usually
+// the session making the request). Resolves to the number revoked.
+const revokeAllSessions = async (
+  userId,
+  { reason = "logout_all", exceptSessionId } = {}
+) => {
+  const filter = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,50 @@
+// services/storage/gridfsStorage.js
+const path = require("path");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// Stores files in MongoDB GridFS (the STORAGE_BUCKET bucket, "receipts" by
+// default), for hosts without a persistent disk such as Vercel. Uses the
+// application's mongoose connection.
+const createGridfsStorage = ({ bucketName }) => {
+  const getBucket = () =>
+    new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+
+  return {
+    name: "gridfs",
+
+    async save({ buffer, originalName, folder = "" }) {
+      const extension = path.extname(originalName || "").toLowerCase();
+      const key = path.posix.join(
+        folder,
+        `${crypto.randomBytes(16).toString("hex")}${extension}`
+      );
+
+      await new Promise((resolve, reject) => {
+        const upload = getBucket().openUploadStream(key);
+        upload.once("error", reject);
+        upload.once("finish", resolve);
+        upload.end(buffer);
+      });
+
+      return key;
+    },
+
+    createReadStream(key) {
+      const stream = getBucket().openDownloadStreamByName(key);
+
+      // Same "open" signal as a file stream: the file exists and data follows
+      stream.once("file", () => stream.emit("open"));
+      return stream;
+    },
+
+    async remove(key) {
+      const bucket = getBucket();
+      const files = await bucket.find({ filename: key }).toArray();
+
+      await Promise.all(files.map((file) => bucket.delete(file._id)));
+    },
+  };
+};
+
+module.exports = createGridfsStorage;
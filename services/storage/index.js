@@ -0,0 +1,65 @@
+// services/storage/index.js
+//
+// Pluggable file storage. Adapters expose save(), createReadStream() and
+// remove(); pick one with STORAGE_DRIVER: "local" (disk under UPLOAD_DIR) or
+// "gridfs" (MongoDB). The default is "gridfs" on Vercel, whose disk is
+// read-only, and "local" elsewhere. In production "local" should have
+// UPLOAD_DIR pointing at a persistent volume (see README.md).
+const path = require("path");
+const createLocalStorage = require("./localStorage");
+const createGridfsStorage = require("./gridfsStorage");
+
+const drivers = {
+  local: () =>
+    createLocalStorage({
+      rootDir: process.env.UPLOAD_DIR || path.join(__dirname, "../../uploads"),
+    }),
+  gridfs: () =>
+    createGridfsStorage({
+      bucketName: process.env.STORAGE_BUCKET || "receipts",
+    }),
+};
+
+let storage;
+
+const getStorage = () => {
+  if (!storage) {
+    // Vercel sets VERCEL on every deployment
+    const driver =
+      process.env.STORAGE_DRIVER || (process.env.VERCEL ? "gridfs" : "local");
+
+    if (!drivers[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+
+    if (driver === "local" && process.env.VERCEL) {
+      throw new Error(
+        "STORAGE_DRIVER=local cannot store files on Vercel; use STORAGE_DRIVER=gridfs"
+      );
+    }
+
+    if (
+      process.env.NODE_ENV === "production" &&
+      driver === "local" &&
+      !process.env.UPLOAD_DIR
+    ) {
+      console.warn(
+        "⚠️  UPLOAD_DIR is not set; receipt files are stored in ./uploads, which must be on a persistent disk"
+      );
+    }
+
+    storage = drivers[driver]();
+  }
+
+  return storage;
+};
+
+// Swap the adapter at runtime, e.g. for a cloud bucket implementation
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+};
@@ -0,0 +1,51 @@
+// services/storage/localStorage.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Stores files on local disk under UPLOAD_DIR (defaults to ./uploads)
+const createLocalStorage = ({ rootDir }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+
+    // Keys come from the database, but never let one escape the upload root
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    async save({ buffer, originalName, folder = "" }) {
+      const extension = path.extname(originalName || "").toLowerCase();
+      const key = path.posix.join(
+        folder,
+        `${crypto.randomBytes(16).toString("hex")}${extension}`
+      );
+      const filePath = resolveKey(key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+
+      return key;
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        // Already gone is as good as removed
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,150 @@
+// services/twoFactor.js
+//
+// TOTP second factor for sign-in and step-up re-authentication. Roles listed
+// in TWO_FACTOR_REQUIRED_ROLES (comma separated, e.g. "finance,admin") must
+// enrol before they can use the API; everyone else may opt in.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { generateSecret, verifyCode, buildOtpauthUri } = require("./totp");
+
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+  .split(",")
+  .map((role) => role.trim())
+  .filter(Boolean);
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "Cash Advance";
+const RECOVERY_CODE_COUNT = 10;
+// How long the password step of a two-step login stays valid
+const CHALLENGE_TTL = "5m";
+
+const SECRET_FIELDS = [
+  "+twoFactor.secret",
+  "+twoFactor.pendingSecret",
+  "+twoFactor.recoveryCodes",
+  "+twoFactor.lastUsedStep",
+].join(" ");
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+const isTwoFactorRequired = (user) => REQUIRED_ROLES.includes(user.role);
+
+const isTwoFactorEnabled = (user) =>
+  Boolean(user.twoFactor && user.twoFactor.enabled);
+
+// The user with the two-factor secrets (and password) loaded
+const findWithSecrets = (userId) =>
+  User.findById(userId).select(`+password ${SECRET_FIELDS}`);
+
+// Begin enrolment: a fresh secret that only becomes active once confirmed
+const startSetup = (user) => {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: ISSUER,
+    }),
+  };
+};
+
+// Replace the recovery codes; the plain codes are only ever returned here
+const generateRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  user.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Finish enrolment with a code from the pending secret. Resolves to the new
+// recovery codes, or null when the code is wrong.
+const confirmSetup = (user, code) => {
+  const pendingSecret = user.twoFactor.pendingSecret;
+  const step = pendingSecret ? verifyCode(pendingSecret, code) : null;
+
+  if (step === null) {
+    return null;
+  }
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+
+  return generateRecoveryCodes(user);
+};
+
+// Check an authenticator code or a recovery code. Resolves to the method
+// that matched ("totp" or "recovery_code") or null. Used codes are spent, so
+// the caller must save the user afterwards.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (!isTwoFactorEnabled(user)) {
+    return null;
+  }
+
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code);
+
+    if (step !== null && step > (user.twoFactor.lastUsedStep || 0)) {
+      user.twoFactor.lastUsedStep = step;
+      return "totp";
+    }
+
+    return null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const codes = user.twoFactor.recoveryCodes || [];
+
+    if (codes.includes(hash)) {
+      user.twoFactor.recoveryCodes = codes.filter((stored) => stored !== hash);
+      return "recovery_code";
+    }
+  }
+
+  return null;
+};
+
+const clearTwoFactor = (user) => {
+  user.twoFactor = { enabled: false };
+};
+
+// Short-lived token proving the password step of a two-step login passed
+const createChallengeToken = (user) =>
+  jwt.sign({ id: user._id, purpose: "two_factor" }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+  });
+
+// User ID from a challenge token, or null when it is invalid or expired
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "two_factor" ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  findWithSecrets,
+  startSetup,
+  confirmSetup,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  clearTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+};
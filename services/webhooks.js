@@ -0,0 +1,274 @@
+// services/webhooks.js
+//
+// Outgoing webhooks for advance events. Each event a webhook subscribes to
+// becomes a WebhookDelivery that is POSTed as JSON with an HMAC-SHA256
+// signature:
+//   X-Webhook-Signature: sha256=<hex HMAC of "<timestamp>.<raw body>">
+//   X-Webhook-Timestamp: unix seconds the request was signed at
+//   X-Webhook-Event / X-Webhook-Delivery / X-Webhook-Event-Id
+// Deliveries are stored before the event handler resolves and first tried in
+// the background. A non-2xx response or network error is retried with
+// exponential backoff up to WEBHOOK_MAX_ATTEMPTS times, by the in-process
+// worker (startWebhookWorker), the Vercel cron (routes/cron.js) or
+// scripts/process-webhook-queue.js.
+const crypto = require("crypto");
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { ADVANCE_EVENTS, onAdvanceEvent } = require("./advanceEvents");
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WORKER_INTERVAL_SECONDS =
+  parseInt(process.env.WEBHOOK_QUEUE_INTERVAL_SECONDS, 10) || 30;
+// A delivery stuck in "sending" this long is assumed to belong to a dead
+// worker
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const RESPONSE_BODY_LIMIT = 1000;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+const signPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+// 1, 2, 4, 8... minutes after each failed attempt, capped at 12 hours
+const getRetryDelayMs = (attempts) =>
+  Math.min(2 ** (attempts - 1), 12 * 60) * 60 * 1000;
+
+const toId = (value) => (value ? String(value._id || value) : null);
+
+// The advance as sent to webhooks: what payroll and ERP systems need,
+// without internal review details
+const describeAdvance = (advance) => ({
+  id: toId(advance),
+  requestNumber: advance.requestNumber,
+  requester: toId(advance.requester),
+  amount: advance.amount,
+  purpose: advance.purpose,
+  status: advance.status,
+  dateNeeded: advance.dateNeeded,
+  expectedReturnDate: advance.expectedReturnDate,
+  disbursement:
+    advance.disbursement && advance.disbursement.disbursedDate
+      ? {
+          disbursedAmount: advance.disbursement.disbursedAmount,
+          disbursedDate: advance.disbursement.disbursedDate,
+          method: advance.disbursement.method,
+          reference: advance.disbursement.reference,
+        }
+      : null,
+  retirement:
+    advance.retirement && advance.retirement.submittedDate
+      ? {
+          totalSpent: advance.retirement.totalSpent,
+          balanceDue: advance.retirement.balanceDue,
+          reimbursementDue: advance.retirement.reimbursementDue,
+          verifiedDate: advance.retirement.verifiedDate,
+        }
+      : null,
+});
+
+const buildPayload = ({ event, occurredAt, advance, actor }) => ({
+  id: crypto.randomUUID(),
+  event,
+  occurredAt,
+  data: {
+    advance: describeAdvance(advance),
+    actor: actor ? toId(actor) : null,
+  },
+});
+
+const claimDelivery = (filter) =>
+  WebhookDelivery.findOneAndUpdate(
+    filter,
+    {
+      $set: { status: "sending", lockedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+
+const dueDeliveryFilter = () => {
+  const now = new Date();
+
+  return {
+    $or: [
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      {
+        status: "sending",
+        lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+      },
+    ],
+  };
+};
+
+// POST the delivery to its webhook and record the outcome
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+
+  if (!webhook || !webhook.isActive) {
+    delivery.status = "failed";
+    delivery.error = "Webhook has been deleted or deactivated";
+    delivery.lockedAt = undefined;
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "CashAdvance-Webhooks/1.0",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Event-Id": delivery.eventId,
+        "X-Webhook-Delivery": String(delivery._id),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(
+          webhook.secret,
+          timestamp,
+          body
+        )}`,
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (await response.text()).slice(
+      0,
+      RESPONSE_BODY_LIMIT
+    );
+    delivery.error = response.ok
+      ? undefined
+      : `Endpoint responded with ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    delivery.error =
+      error.name === "TimeoutError"
+        ? `No response within ${TIMEOUT_MS} ms`
+        : error.message;
+  }
+
+  delivery.durationMs = Date.now() - startedAt;
+  delivery.lockedAt = undefined;
+
+  if (!delivery.error) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = "failed";
+  } else {
+    delivery.status = "pending";
+    delivery.nextAttemptAt = new Date(
+      Date.now() + getRetryDelayMs(delivery.attempts)
+    );
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Make the first attempt at a stored delivery
+const attemptNow = async (delivery) => {
+  const claimed = await claimDelivery({ _id: delivery._id, status: "pending" });
+
+  return claimed ? attemptDelivery(claimed) : delivery;
+};
+
+// Send the original payload (same event id) again as a new delivery.
+// Resolves once the first attempt has finished.
+const replayDelivery = async (delivery, user) =>
+  attemptNow(
+    await WebhookDelivery.create({
+      webhook: delivery.webhook,
+      event: delivery.event,
+      eventId: delivery.eventId,
+      advance: delivery.advance,
+      payload: delivery.payload,
+      replayOf: delivery._id,
+      replayedBy: user._id,
+    })
+  );
+
+// Attempt up to `limit` due deliveries. Returns { delivered, failed,
+// retrying }.
+const processWebhookQueue = async ({ limit = 50 } = {}) => {
+  const result = { delivered: 0, failed: 0, retrying: 0 };
+
+  for (let i = 0; i < limit; i += 1) {
+    const delivery = await claimDelivery(dueDeliveryFilter());
+    if (!delivery) break;
+
+    const { status } = await attemptDelivery(delivery);
+    if (status === "delivered") result.delivered += 1;
+    else if (status === "failed") result.failed += 1;
+    else result.retrying += 1;
+  }
+
+  return result;
+};
+
+const dispatchAdvanceEvent = async (eventPayload) => {
+  const webhooks = await Webhook.find({
+    isActive: true,
+    events: eventPayload.event,
+  });
+  if (webhooks.length === 0) return;
+
+  const payload = buildPayload(eventPayload);
+
+  const deliveries = await WebhookDelivery.insertMany(
+    webhooks.map((webhook) => ({
+      webhook: webhook._id,
+      event: payload.event,
+      eventId: payload.id,
+      advance: eventPayload.advance._id,
+      payload,
+    }))
+  );
+
+  // Not awaited, so a slow endpoint does not hold up the request that caused
+  // the event; an attempt cut short is picked up again by the queue
+  deliveries.forEach((delivery) =>
+    attemptNow(delivery).catch((error) =>
+      console.error("Webhook delivery error:", error)
+    )
+  );
+};
+
+const registerWebhookHandlers = () => {
+  ADVANCE_EVENTS.forEach((event) =>
+    onAdvanceEvent(event, dispatchAdvanceEvent)
+  );
+};
+
+let workerTimer = null;
+
+// Retry due deliveries every WEBHOOK_QUEUE_INTERVAL_SECONDS in this process
+const startWebhookWorker = () => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(() => {
+    processWebhookQueue().catch((error) =>
+      console.error("Webhook queue error:", error)
+    );
+  }, WORKER_INTERVAL_SECONDS * 1000);
+  workerTimer.unref();
+};
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  replayDelivery,
+  processWebhookQueue,
+  registerWebhookHandlers,
+  startWebhookWorker,
+};
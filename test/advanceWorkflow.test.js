@@ -0,0 +1,129 @@
+// test/advanceWorkflow.test.js
+//
+// Status moves, permissions and requester-only guards of the advance
+// workflow. Role permissions come from the defaults and every
+// segregation-of-duties rule is enforced; nothing touches a database.
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Advance = require("../models/Advance");
+const RolePermission = require("../models/RolePermission");
+const SodRule = require("../models/SodRule");
+const User = require("../models/User");
+const {
+  transition,
+  canTransition,
+  TransitionError,
+} = require("../services/advanceWorkflow");
+
+const makeUser = (role) =>
+  new User({
+    firstName: "Test",
+    lastName: role,
+    email: `${role}.${new mongoose.Types.ObjectId()}@example.com`,
+    role,
+    department: new mongoose.Types.ObjectId(),
+  });
+
+const makeAdvance = (requester, fields = {}) =>
+  new Advance({
+    requester: requester._id,
+    amount: 500,
+    purpose: "Site visit",
+    dateNeeded: new Date(),
+    ...fields,
+  });
+
+before(() => {
+  RolePermission.findOne = async () => null;
+  SodRule.find = () => ({ distinct: async () => [] });
+});
+
+describe("transition", () => {
+  it("moves the advance to the action's status and records the approval", async () => {
+    const staff = makeUser("staff");
+    const finance = makeUser("finance");
+    const advance = makeAdvance(staff, { status: "manager_approved" });
+
+    await transition(advance, "finance_approve", finance, {
+      comment: "Within budget",
+    });
+
+    assert.equal(advance.status, "finance_approved");
+    assert.equal(advance.approvals.length, 1);
+    assert.equal(advance.approvals[0].role, "finance");
+    assert.equal(String(advance.approvals[0].approver), finance.id);
+    assert.equal(advance.approvals[0].comment, "Within budget");
+  });
+
+  it("refuses a move from the wrong status with a 409", async () => {
+    const staff = makeUser("staff");
+    const finance = makeUser("finance");
+    const advance = makeAdvance(staff, { status: "pending" });
+
+    await assert.rejects(
+      transition(advance, "disburse", finance),
+      (error) => {
+        assert.ok(error instanceof TransitionError);
+        assert.equal(error.status, 409);
+        assert.equal(error.currentStatus, "pending");
+        assert.equal(error.requestedStatus, "disbursed");
+        return true;
+      }
+    );
+    assert.equal(advance.status, "pending");
+  });
+
+  it("refuses an actor whose role lacks the permission with a 403", async () => {
+    const staff = makeUser("staff");
+    const manager = makeUser("manager");
+    const advance = makeAdvance(staff, { status: "finance_approved" });
+
+    await assert.rejects(transition(advance, "disburse", manager), {
+      name: "TransitionError",
+      status: 403,
+    });
+  });
+
+  it("throws for an unknown action", async () => {
+    const staff = makeUser("staff");
+
+    await assert.rejects(
+      transition(makeAdvance(staff), "teleport", staff),
+      /Unknown advance workflow action/
+    );
+  });
+});
+
+describe("retirement guards", () => {
+  const disbursed = (requester) =>
+    makeAdvance(requester, {
+      status: "disbursed",
+      disbursement: { disbursedDate: new Date(), disbursedAmount: 500 },
+    });
+
+  it("lets only the requester submit the retirement", async () => {
+    const staff = makeUser("staff");
+    const colleague = makeUser("staff");
+
+    assert.equal(
+      await canTransition(disbursed(staff), "submit_retirement", colleague),
+      false
+    );
+
+    const advance = disbursed(staff);
+    await transition(advance, "submit_retirement", staff);
+
+    assert.equal(advance.status, "retirement_submitted");
+    assert.equal(advance.retirement.reviewThread[0].action, "submitted");
+  });
+
+  it("refuses a retirement before the advance was paid out", async () => {
+    const staff = makeUser("staff");
+    const advance = makeAdvance(staff, { status: "disbursed" });
+
+    await assert.rejects(transition(advance, "submit_retirement", staff), {
+      message: "Advance cannot be retired before it has been disbursed",
+    });
+  });
+});
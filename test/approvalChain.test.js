@@ -0,0 +1,254 @@
+// test/approvalChain.test.js
+//
+// Who may decide each step of an advance's approval chain: the level and
+// its reach over the requester, delegations, and that nobody decides two
+// steps of the same chain. Reporting lines, departments and delegations are
+// stubbed; role permissions are the defaults.
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Advance = require("../models/Advance");
+const Delegation = require("../models/Delegation");
+const RolePermission = require("../models/RolePermission");
+const SodRule = require("../models/SodRule");
+const User = require("../models/User");
+const { getApprovalLevels } = require("../services/approvalAuthority");
+const {
+  transition,
+  getApprovalAction,
+} = require("../services/advanceWorkflow");
+
+const sales = new mongoose.Types.ObjectId();
+const operations = new mongoose.Types.ObjectId();
+
+let users;
+let teams;
+let delegations;
+
+const makeUser = (name, role, fields = {}) => {
+  const user = new User({
+    firstName: name,
+    lastName: "Test",
+    email: `${name.toLowerCase()}@example.com`,
+    role,
+    department: sales,
+    ...fields,
+  });
+  users.push(user);
+  return user;
+};
+
+const makeAdvance = (requester, levels) => {
+  const advance = new Advance({
+    requester: requester._id,
+    amount: 5000,
+    purpose: "Conference",
+    dateNeeded: new Date(),
+  });
+  advance.setApprovalChain(levels);
+  return advance;
+};
+
+// Decide the current step the way the manager routes do
+const approve = (advance, actor, onBehalfOf) =>
+  transition(advance, getApprovalAction(advance), actor, { onBehalfOf });
+
+beforeEach(() => {
+  users = [];
+  teams = new Map();
+  delegations = [];
+
+  RolePermission.findOne = async () => null;
+  SodRule.find = () => ({ distinct: async () => [] });
+
+  // getReports: one $graphLookup from the manager
+  User.aggregate = async ([{ $match }]) => [
+    {
+      reports: (teams.get(String($match._id)) || []).map((member) => ({
+        _id: member._id,
+      })),
+    },
+  ];
+  // getDepartmentMemberIds
+  User.find = ({ department }) => ({
+    select: async () =>
+      users.filter((user) => String(user.department) === String(department)),
+  });
+  Delegation.findActiveForDelegate = (delegateId) => ({
+    populate: async () =>
+      delegations
+        .filter(({ delegate }) => String(delegate._id) === String(delegateId))
+        .map(({ delegator }) => ({ delegator })),
+  });
+});
+
+describe("getApprovalLevels", () => {
+  it("gives the manager level only to roles with advance.approve.team", async () => {
+    assert.deepEqual(await getApprovalLevels(makeUser("Mia", "manager")), [
+      "manager",
+    ]);
+    assert.deepEqual(await getApprovalLevels(makeUser("Fay", "finance")), []);
+    assert.deepEqual(await getApprovalLevels(makeUser("Ada", "admin")), [
+      "admin",
+    ]);
+  });
+
+  it("adds the user's extra approval authorities", async () => {
+    const director = makeUser("Dan", "finance", {
+      approvalAuthorities: ["finance_director"],
+    });
+
+    assert.deepEqual(await getApprovalLevels(director), ["finance_director"]);
+  });
+});
+
+describe("approval chain", () => {
+  it("walks the chain one level at a time", async () => {
+    const staff = makeUser("Sam", "staff");
+    const manager = makeUser("Mia", "manager");
+    const head = makeUser("Hal", "manager", {
+      approvalAuthorities: ["department_head"],
+    });
+    teams.set(String(manager._id), [staff]);
+
+    const advance = makeAdvance(staff, ["manager", "department_head"]);
+
+    await approve(advance, manager);
+    assert.equal(advance.status, "pending");
+    assert.equal(advance.currentApprovalLevel, "department_head");
+
+    await approve(advance, head);
+    assert.equal(advance.status, "manager_approved");
+    assert.equal(advance.currentApprovalLevel, null);
+    assert.deepEqual(
+      advance.approvalChain.map((step) => String(step.approver)),
+      [manager.id, head.id]
+    );
+  });
+
+  it("refuses a manager the requester does not report to", async () => {
+    const staff = makeUser("Sam", "staff");
+    const otherManager = makeUser("Oli", "manager");
+
+    await assert.rejects(
+      approve(makeAdvance(staff, ["manager"]), otherManager),
+      { status: 409, message: "This request is waiting on manager approval" }
+    );
+  });
+
+  it("does not let finance or admins approve the manager level", async () => {
+    const staff = makeUser("Sam", "staff");
+    const finance = makeUser("Fay", "finance");
+    const admin = makeUser("Ada", "admin");
+    teams.set(String(finance._id), [staff]);
+    teams.set(String(admin._id), [staff]);
+
+    for (const actor of [finance, admin]) {
+      await assert.rejects(approve(makeAdvance(staff, ["manager"]), actor), {
+        message: "This request is waiting on manager approval",
+      });
+    }
+  });
+
+  it("refuses a department head from another department", async () => {
+    const staff = makeUser("Sam", "staff");
+    const head = makeUser("Hal", "manager", {
+      department: operations,
+      approvalAuthorities: ["department_head"],
+    });
+
+    await assert.rejects(approve(makeAdvance(staff, ["department_head"]), head), {
+      message: "This request is waiting on department head approval",
+    });
+  });
+
+  it("refuses someone who decided an earlier step of the chain", async () => {
+    const staff = makeUser("Sam", "staff");
+    const manager = makeUser("Mia", "manager", {
+      approvalAuthorities: ["department_head"],
+    });
+    teams.set(String(manager._id), [staff]);
+
+    const advance = makeAdvance(staff, ["manager", "department_head"]);
+    await approve(advance, manager);
+
+    await assert.rejects(approve(advance, manager), {
+      status: 409,
+      message:
+        "You or the approver you act for decided an earlier step of this request",
+    });
+    assert.equal(advance.currentApprovalLevel, "department_head");
+  });
+
+  it("refuses a delegate standing in for someone who decided an earlier step", async () => {
+    const staff = makeUser("Sam", "staff");
+    const manager = makeUser("Mia", "manager", {
+      approvalAuthorities: ["department_head"],
+    });
+    const delegate = makeUser("Del", "manager");
+    teams.set(String(manager._id), [staff]);
+    delegations.push({ delegator: manager, delegate });
+
+    const advance = makeAdvance(staff, ["manager", "department_head"]);
+    await approve(advance, manager);
+
+    await assert.rejects(approve(advance, delegate, manager), {
+      message:
+        "You or the approver you act for decided an earlier step of this request",
+    });
+  });
+
+  it("lets a delegate decide with the delegator's level and reach", async () => {
+    const staff = makeUser("Sam", "staff");
+    const head = makeUser("Hal", "manager", {
+      approvalAuthorities: ["department_head"],
+    });
+    const delegate = makeUser("Del", "manager", { department: operations });
+    delegations.push({ delegator: head, delegate });
+
+    const advance = makeAdvance(staff, ["department_head"]);
+    await approve(advance, delegate, head);
+
+    assert.equal(advance.status, "manager_approved");
+    assert.equal(String(advance.approvals[0].approver), delegate.id);
+    assert.equal(String(advance.approvals[0].onBehalfOf), head.id);
+  });
+
+  it("refuses a delegate claiming to act for someone who did not delegate", async () => {
+    const staff = makeUser("Sam", "staff");
+    const head = makeUser("Hal", "manager", {
+      approvalAuthorities: ["department_head"],
+    });
+    const delegate = makeUser("Del", "manager", { department: operations });
+
+    await assert.rejects(
+      approve(makeAdvance(staff, ["department_head"]), delegate, head),
+      { message: "This request is waiting on department head approval" }
+    );
+  });
+
+  it("records a rejection and ends the chain", async () => {
+    const staff = makeUser("Sam", "staff");
+    const manager = makeUser("Mia", "manager");
+    teams.set(String(manager._id), [staff]);
+
+    const advance = makeAdvance(staff, ["manager", "admin"]);
+    await transition(advance, "manager_reject", manager, {
+      comment: "Not budgeted",
+    });
+
+    assert.equal(advance.status, "rejected");
+    assert.equal(advance.currentApprovalLevel, null);
+    assert.equal(advance.approvalChain[0].status, "rejected");
+    assert.equal(advance.approvalChain[1].status, "waiting");
+  });
+
+  it("refuses the requester's own request at an organisation-wide level", async () => {
+    const admin = makeUser("Ada", "admin");
+
+    await assert.rejects(approve(makeAdvance(admin, ["admin"]), admin), {
+      status: 403,
+      sodRule: "requester_approver",
+    });
+  });
+});
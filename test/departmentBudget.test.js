@@ -0,0 +1,161 @@
+// test/departmentBudget.test.js
+//
+// Budget consumption and the over-budget check on approval. The advance
+// totals MongoDB would return are stubbed; the pipeline's match is checked
+// directly.
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Advance = require("../models/Advance");
+const DepartmentBudget = require("../models/DepartmentBudget");
+const {
+  getConsumption,
+  checkAdvanceAgainstBudget,
+} = require("../services/departmentBudget");
+
+const department = new mongoose.Types.ObjectId();
+
+let totals;
+let pipelines;
+let budgetLookups;
+let budget;
+
+const makeBudget = (fields = {}) =>
+  new DepartmentBudget({
+    department,
+    periodStart: new Date("2026-01-01"),
+    periodEnd: new Date("2026-12-31"),
+    amount: 10000,
+    ...fields,
+  });
+
+const makeAdvance = (fields = {}) =>
+  new Advance({
+    requester: new mongoose.Types.ObjectId(),
+    department,
+    amount: 1500,
+    purpose: "Site visit",
+    dateNeeded: new Date("2026-06-01"),
+    requestDate: new Date("2026-05-20"),
+    ...fields,
+  });
+
+beforeEach(() => {
+  totals = [];
+  pipelines = [];
+  budgetLookups = [];
+  budget = makeBudget();
+
+  Advance.aggregate = async (pipeline) => {
+    pipelines.push(pipeline);
+    return totals;
+  };
+  DepartmentBudget.findForDate = async (departmentId, date) => {
+    budgetLookups.push({ departmentId, date });
+    return budget;
+  };
+});
+
+describe("getConsumption", () => {
+  it("counts advances charged to the budget's department in its period", async () => {
+    await getConsumption(budget);
+
+    const [{ $match }] = pipelines[0];
+    assert.equal($match.department, budget.department);
+    assert.deepEqual($match.requestDate, {
+      $gte: budget.periodStart,
+      $lte: budget.periodEnd,
+    });
+    assert.equal($match.isActive, true);
+    assert.ok($match.status.$in.includes("manager_approved"));
+    assert.ok($match.status.$in.includes("retired"));
+    assert.ok(!$match.status.$in.includes("pending"));
+    assert.ok(!$match.status.$in.includes("rejected"));
+    assert.equal($match._id, undefined);
+  });
+
+  it("leaves out the excluded advance", async () => {
+    const advanceId = new mongoose.Types.ObjectId();
+
+    await getConsumption(budget, { excludeAdvanceId: advanceId });
+
+    assert.deepEqual(pipelines[0][0].$match._id, { $ne: advanceId });
+  });
+
+  it("adds up approved and disbursed amounts, rounded to cents", async () => {
+    totals = [{ approved: 1200.104, disbursed: 300.2, count: 3 }];
+
+    assert.deepEqual(await getConsumption(budget), {
+      approved: 1200.1,
+      disbursed: 300.2,
+      consumed: 1500.3,
+      count: 3,
+    });
+  });
+
+  it("is zero when nothing has been approved", async () => {
+    assert.deepEqual(await getConsumption(budget), {
+      approved: 0,
+      disbursed: 0,
+      consumed: 0,
+      count: 0,
+    });
+  });
+});
+
+describe("checkAdvanceAgainstBudget", () => {
+  it("is null for an advance with no department", async () => {
+    const advance = makeAdvance({ department: undefined });
+
+    assert.equal(await checkAdvanceAgainstBudget(advance), null);
+    assert.equal(budgetLookups.length, 0);
+  });
+
+  it("is null when the department has no budget for the request date", async () => {
+    budget = null;
+
+    assert.equal(await checkAdvanceAgainstBudget(makeAdvance()), null);
+  });
+
+  it("looks up the budget of the department recorded on the advance", async () => {
+    const advance = makeAdvance();
+
+    await checkAdvanceAgainstBudget(advance);
+
+    assert.equal(String(budgetLookups[0].departmentId), String(department));
+    assert.equal(budgetLookups[0].date, advance.requestDate);
+    assert.deepEqual(pipelines[0][0].$match._id, { $ne: advance._id });
+  });
+
+  it("projects the budget with the request added", async () => {
+    totals = [{ approved: 6000, disbursed: 2000, count: 4 }];
+
+    const result = await checkAdvanceAgainstBudget(makeAdvance());
+
+    assert.equal(result.consumed, 8000);
+    assert.equal(result.remaining, 2000);
+    assert.equal(result.utilization, 80);
+    assert.equal(result.requestAmount, 1500);
+    assert.equal(result.projected, 9500);
+    assert.equal(result.exceeded, false);
+  });
+
+  it("is not exceeded when the request uses the budget exactly", async () => {
+    totals = [{ approved: 8500, disbursed: 0, count: 2 }];
+
+    const result = await checkAdvanceAgainstBudget(makeAdvance());
+
+    assert.equal(result.projected, 10000);
+    assert.equal(result.exceeded, false);
+  });
+
+  it("is exceeded when the request goes over the budget", async () => {
+    totals = [{ approved: 8500, disbursed: 0.01, count: 2 }];
+
+    const result = await checkAdvanceAgainstBudget(makeAdvance());
+
+    assert.equal(result.projected, 10000.01);
+    assert.equal(result.exceeded, true);
+    assert.equal(result.enforcement, "warn");
+  });
+});
@@ -0,0 +1,204 @@
+// test/segregationOfDuties.test.js
+//
+// Each segregation-of-duties rule, enforced through the advance workflow,
+// and switching a rule off. Role permissions are the defaults.
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Advance = require("../models/Advance");
+const RolePermission = require("../models/RolePermission");
+const SodRule = require("../models/SodRule");
+const User = require("../models/User");
+const { transition } = require("../services/advanceWorkflow");
+const {
+  SOD_RULES,
+  findSodViolation,
+} = require("../services/segregationOfDuties");
+
+let disabledRules;
+
+const makeUser = (role) =>
+  new User({
+    firstName: "Test",
+    lastName: role,
+    email: `${role}.${new mongoose.Types.ObjectId()}@example.com`,
+    role,
+    department: new mongoose.Types.ObjectId(),
+  });
+
+const makeAdvance = (requester, fields = {}) =>
+  new Advance({
+    requester: requester._id,
+    amount: 500,
+    purpose: "Site visit",
+    dateNeeded: new Date(),
+    ...fields,
+  });
+
+const financeApproval = (approver) => ({
+  approver: approver._id,
+  role: "finance",
+  decision: "approved",
+});
+
+const disbursedBy = (disburser) => ({
+  disbursedBy: disburser._id,
+  disbursedDate: new Date(),
+  disbursedAmount: 500,
+});
+
+const submittedRetirement = (requester) => ({
+  reviewThread: [{ author: requester._id, action: "submitted" }],
+});
+
+beforeEach(() => {
+  disabledRules = [];
+
+  RolePermission.findOne = async () => null;
+  SodRule.find = () => ({ distinct: async () => disabledRules });
+});
+
+describe("segregation of duties", () => {
+  it("stops the requester deciding their own request", async () => {
+    const finance = makeUser("finance");
+    const advance = makeAdvance(finance, { status: "manager_approved" });
+
+    await assert.rejects(transition(advance, "finance_approve", finance), {
+      status: 403,
+      sodRule: "requester_approver",
+    });
+    assert.equal(advance.status, "manager_approved");
+  });
+
+  it("stops the requester disbursing their own advance", async () => {
+    const finance = makeUser("finance");
+    const advance = makeAdvance(finance, { status: "finance_approved" });
+
+    await assert.rejects(transition(advance, "disburse", finance), {
+      status: 403,
+      sodRule: "requester_disburser",
+    });
+  });
+
+  it("stops an approver disbursing the advance they approved", async () => {
+    const staff = makeUser("staff");
+    const finance = makeUser("finance");
+    const advance = makeAdvance(staff, {
+      status: "finance_approved",
+      approvals: [financeApproval(finance)],
+    });
+
+    await assert.rejects(transition(advance, "disburse", finance), {
+      status: 403,
+      sodRule: "approver_disburser",
+    });
+  });
+
+  it("counts the approver a delegate stood in for", async () => {
+    const staff = makeUser("staff");
+    const absent = makeUser("finance");
+    const delegate = makeUser("finance");
+    const advance = makeAdvance(staff, {
+      status: "finance_approved",
+      approvals: [{ ...financeApproval(delegate), onBehalfOf: absent._id }],
+    });
+
+    await assert.rejects(transition(advance, "disburse", absent), {
+      sodRule: "approver_disburser",
+    });
+  });
+
+  it("stops the requester verifying their own retirement", async () => {
+    const finance = makeUser("finance");
+    const advance = makeAdvance(finance, {
+      status: "retirement_submitted",
+      retirement: submittedRetirement(finance),
+    });
+
+    await assert.rejects(transition(advance, "approve_retirement", finance), {
+      status: 403,
+      sodRule: "requester_verifier",
+    });
+  });
+
+  it("stops whoever disbursed the advance verifying its retirement", async () => {
+    const staff = makeUser("staff");
+    const finance = makeUser("finance");
+    const advance = makeAdvance(staff, {
+      status: "retirement_submitted",
+      disbursement: disbursedBy(finance),
+      retirement: submittedRetirement(staff),
+    });
+
+    await assert.rejects(transition(advance, "query_retirement", finance), {
+      status: 403,
+      sodRule: "disburser_verifier",
+    });
+  });
+
+  it("lets someone else do the conflicting duty", async () => {
+    const staff = makeUser("staff");
+    const approver = makeUser("finance");
+    const disburser = makeUser("finance");
+    const advance = makeAdvance(staff, {
+      status: "finance_approved",
+      approvals: [financeApproval(approver)],
+    });
+
+    await transition(advance, "disburse", disburser);
+
+    assert.equal(advance.status, "disbursed");
+  });
+
+  it("allows the duty once its rule is disabled", async () => {
+    disabledRules = ["approver_disburser"];
+
+    const staff = makeUser("staff");
+    const finance = makeUser("finance");
+    const advance = makeAdvance(staff, {
+      status: "finance_approved",
+      approvals: [financeApproval(finance)],
+    });
+
+    await transition(advance, "disburse", finance);
+
+    assert.equal(advance.status, "disbursed");
+  });
+
+  it("still applies the other rules when one is disabled", async () => {
+    disabledRules = ["approver_disburser"];
+
+    const finance = makeUser("finance");
+    const advance = makeAdvance(finance, {
+      status: "finance_approved",
+      approvals: [financeApproval(finance)],
+    });
+
+    await assert.rejects(transition(advance, "disburse", finance), {
+      sodRule: "requester_disburser",
+    });
+  });
+});
+
+describe("findSodViolation", () => {
+  it("returns null for a duty no rule restricts", async () => {
+    const staff = makeUser("staff");
+
+    assert.equal(
+      await findSodViolation(makeAdvance(staff), "submit", [staff]),
+      null
+    );
+  });
+
+  it("returns the rule and its message", async () => {
+    const staff = makeUser("staff");
+
+    assert.deepEqual(
+      await findSodViolation(makeAdvance(staff), "approve", [staff]),
+      {
+        rule: "requester_approver",
+        message: SOD_RULES.requester_approver.message,
+      }
+    );
+  });
+});